@@ -0,0 +1,112 @@
+import { EventEmitter } from 'events';
+import { appendFile } from 'fs/promises';
+
+const DIMENSIONS = ['users', 'channels', 'adapters'];
+const DEFAULT_SLOW_DOWN = 'Slow down: you can send {limit} messages every {window}. Try again in {retry}.';
+const AUDIT_CONTENT_CHARS = 200;
+const PRUNE_INTERVAL_MS = 60_000;
+
+function formatDuration(ms) {
+  const s = Math.max(1, Math.ceil(ms / 1000));
+  return s < 60 ? `${s}s` : s < 3600 ? `${Math.ceil(s / 60)} min` : `${Math.ceil(s / 3600)} h`;
+}
+
+function identities(dimension, msg, adapter) {
+  if (dimension === 'adapters') return [adapter];
+  if (dimension === 'users') {
+    if (msg.authorId != null) return [String(msg.authorId), `${adapter}:${msg.authorId}`];
+    return msg.author != null ? [`${adapter}:${msg.author}`] : [];
+  }
+  return msg.channelId == null ? [] : [String(msg.channelId), `${adapter}:${msg.channelId}`];
+}
+
+function matches(list, keys) { return (list || []).some(e => e === '*' || keys.includes(String(e))); }
+
+function inList(rule, msg, adapter) {
+  return DIMENSIONS.some(d => matches(rule[d], identities(d, msg, adapter)));
+}
+
+class AccessControl extends EventEmitter {
+  constructor(policy = {}) {
+    super();
+    this.allow = policy.allow || {};
+    this.deny = policy.deny || {};
+    this.roles = policy.roles || {};
+    this.quotas = policy.quotas || {};
+    this.slowDownMessage = policy.slowDownMessage ?? DEFAULT_SLOW_DOWN;
+    this.deniedMessage = policy.deniedMessage ?? null;
+    this.audit = policy.audit ?? null;
+    this._hits = new Map();
+    this._warned = new Map();
+    this._nextPrune = 0;
+    this._auditQueue = Promise.resolve();
+  }
+
+  roleFor(msg, adapter) {
+    for (const [name, role] of Object.entries(this.roles)) {
+      if (name !== 'default' && inList(role, msg, adapter)) return { name, ...role };
+    }
+    return this.roles.default ? { name: 'default', ...this.roles.default } : null;
+  }
+
+  authorize(msg, adapter) {
+    for (const d of DIMENSIONS) {
+      const keys = identities(d, msg, adapter);
+      if (matches(this.deny[d], keys)) return this._reject(msg, adapter, { reason: 'denied', rule: `deny.${d}` });
+      if (this.allow[d]?.length && !matches(this.allow[d], keys)) return this._reject(msg, adapter, { reason: 'denied', rule: `allow.${d}` });
+    }
+    return { allowed: true, role: this.roleFor(msg, adapter) };
+  }
+
+  consume(msg, adapter, role = this.roleFor(msg, adapter)) {
+    const now = Date.now();
+    if (now >= this._nextPrune) this._prune(now);
+    const userQuota = role?.quota === false ? null : role?.quota || this.quotas.user;
+    const scopes = [
+      ['user', userQuota, `user:${adapter}:${msg.authorId ?? msg.author}`],
+      ['channel', role?.quota === false ? null : this.quotas.channel, `channel:${adapter}:${msg.channelId}`],
+    ].filter(([, quota]) => quota?.limit);
+
+    for (const [scope, quota, key] of scopes) {
+      const hits = (this._hits.get(key)?.times || []).filter(t => t > now - quota.windowMs);
+      this._hits.set(key, { times: hits, windowMs: quota.windowMs });
+      if (hits.length < quota.limit) continue;
+      const retryAfterMs = hits[0] + quota.windowMs - now;
+      const warned = (this._warned.get(key) || 0) > now;
+      if (!warned) this._warned.set(key, now + retryAfterMs);
+      const reply = warned ? null : this.slowDownMessage
+        .replace('{limit}', quota.limit).replace('{window}', formatDuration(quota.windowMs)).replace('{retry}', formatDuration(retryAfterMs));
+      return this._reject(msg, adapter, { reason: 'rate-limited', scope, retryAfterMs, reply });
+    }
+    for (const [, , key] of scopes) this._hits.get(key).times.push(now);
+    return { allowed: true };
+  }
+
+  _prune(now) {
+    this._nextPrune = now + PRUNE_INTERVAL_MS;
+    for (const [key, { times, windowMs }] of this._hits) if (!times.length || times[times.length - 1] <= now - windowMs) this._hits.delete(key);
+    for (const [key, until] of this._warned) if (until <= now) this._warned.delete(key);
+  }
+
+  _reject(msg, adapter, decision) {
+    const entry = {
+      time: new Date().toISOString(),
+      adapter,
+      channelId: msg.channelId,
+      threadId: msg.threadId ?? null,
+      author: msg.author,
+      authorId: msg.authorId ?? null,
+      content: String(msg.content ?? '').slice(0, AUDIT_CONTENT_CHARS),
+      ...decision,
+    };
+    delete entry.reply;
+    this.emit('rejected', entry);
+    if (typeof this.audit === 'function') Promise.resolve().then(() => this.audit(entry)).catch(() => {});
+    else if (this.audit) this._auditQueue = this._auditQueue.then(() => appendFile(this.audit, `${JSON.stringify(entry)}\n`)).catch(() => {});
+    return { allowed: false, reply: decision.reason === 'denied' ? this.deniedMessage : null, ...decision };
+  }
+
+  flush() { return this._auditQueue; }
+}
+
+export { AccessControl };
@@ -1,97 +1,590 @@
 import { createServer } from 'http';
 import { EventEmitter } from 'events';
+import { createHmac, timingSafeEqual, randomUUID } from 'crypto';
+import { connect as netConnect } from 'net';
+import { connect as tlsConnect } from 'tls';
+import { createInterface } from 'readline';
+
+const ADAPTER_TYPES = ['discord', 'telegram', 'slack', 'webhook', 'matrix', 'irc', 'stdio'];
+const DEFAULT_APPROVAL_TIMEOUT_MS = 120_000;
+const APPROVE_PATTERN = /^(y|yes|approve|ok)$/i;
+const DENY_PATTERN = /^(n|no|deny|reject|cancel)$/i;
+const DEFAULT_MAX_BODY_BYTES = 1_048_576;
+const DEFAULT_REPLY_TIMEOUT_MS = 120_000;
+const SIGNATURE_WINDOW_S = 300;
+const RECONNECT_DELAY_MS = 5_000;
+const IRC_LINE_BYTES = 400;
+
+const PLATFORM_LIMITS = { discord: 2000, telegram: 4096, slack: 3000, matrix: 30000 };
+const SLACK_MAX_BLOCKS = 50;
+const FENCE = /^\s*(```|~~~)/;
 
 function base(type) {
   const em = new EventEmitter();
   return { type, onMessage: (fn) => em.on('message', fn), _emit: (msg) => em.emit('message', msg) };
 }
 
+function message(fields) {
+  return { threadId: null, replyTo: null, mentioned: false, isDirect: false, attachments: [], timestamp: Date.now(), ...fields };
+}
+
+function keepTyping(fn, intervalMs) {
+  const tick = () => Promise.resolve().then(fn).catch(() => {});
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  return () => clearInterval(timer);
+}
+
+function splitMessage(text, limit) {
+  if (text.length <= limit) return [text];
+  const chunks = [];
+  let lines = [], size = 0, fence = null;
+  const close = () => fence ? `\n${fence.trim().slice(0, 3)}` : '';
+  const flush = () => {
+    const bare = fence && lines[lines.length - 1] === fence;
+    if (bare) lines.pop();
+    if (lines.length) chunks.push(lines.join('\n') + (bare ? '' : close()));
+    lines = fence ? [fence] : [];
+    size = fence ? fence.length : 0;
+  };
+  const add = (line, opens, closes) => {
+    const reserve = (fence && !closes) || opens ? 4 : 0;
+    if (lines.length && size + 1 + line.length + reserve > limit) {
+      flush();
+      if (closes) { lines = []; size = 0; return; }
+    }
+    size += (lines.length ? 1 : 0) + line.length;
+    lines.push(line);
+  };
+  for (const raw of text.split('\n')) {
+    const isFence = FENCE.test(raw), closes = isFence && !!fence;
+    const max = Math.max(1, limit - (fence ? fence.length + 1 : 0) - ((fence || isFence) && !closes ? 4 : 0));
+    let line = raw;
+    while (line.length > max) { add(line.slice(0, max), isFence && !fence); line = line.slice(max); }
+    add(line, isFence && !fence, closes);
+    if (isFence) fence = fence ? null : raw;
+  }
+  if (lines.length && !(fence && lines.length === 1)) chunks.push(lines.join('\n'));
+  return chunks;
+}
+
 async function discordAdapter(config) {
   const djs = await import('discord.js').catch(() => { throw new Error('discord.js not installed: npm install discord.js'); });
-  const { Client, Events, GatewayIntentBits } = djs;
+  const { Client, Events, GatewayIntentBits, Partials } = djs;
   const b = base('discord');
-  const client = new Client({ intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent] });
+  const client = new Client({
+    intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent, GatewayIntentBits.DirectMessages],
+    partials: [Partials.Channel],
+  });
   client.on(Events.MessageCreate, (msg) => {
     if (msg.author.bot) return;
-    b._emit({ id: msg.id, content: msg.content, author: msg.author.tag, channelId: msg.channelId, timestamp: Date.now() });
+    const self = client.user.id;
+    b._emit(message({
+      id: msg.id,
+      content: msg.content.replace(new RegExp(`<@!?${self}>`, 'g'), '').trim(),
+      author: msg.author.tag,
+      authorId: msg.author.id,
+      channelId: msg.channelId,
+      threadId: msg.channel.isThread?.() ? msg.channelId : null,
+      replyTo: msg.reference?.messageId ?? null,
+      mentioned: msg.mentions.users.has(self),
+      isDirect: !msg.guildId,
+      attachments: [...msg.attachments.values()].map(a => ({ name: a.name, url: a.url, contentType: a.contentType, size: a.size })),
+    }));
   });
   client.on(Events.Error, (e) => console.error('discord error:', e.message));
   return {
     ...b,
     start: () => client.login(config.token),
     stop: () => client.destroy(),
-    send: async (channelId, text) => { const ch = await client.channels.fetch(channelId); return ch?.send(text); },
+    send: async (channelId, text, options = {}) => {
+      const ch = await client.channels.fetch(options.threadId || channelId);
+      const sent = [];
+      for (const [i, content] of splitMessage(text, PLATFORM_LIMITS.discord).entries()) {
+        const reply = i === 0 && options.replyTo ? { messageReference: options.replyTo, failIfNotExists: false } : undefined;
+        sent.push(await ch?.send(reply ? { content, reply } : content));
+      }
+      return sent;
+    },
+    typing: (channelId, options = {}) => keepTyping(async () => (await client.channels.fetch(options.threadId || channelId))?.sendTyping(), 8_000),
   };
 }
 
+function telegramAttachments(m) {
+  const out = [];
+  const photo = m.photo?.[m.photo.length - 1];
+  if (photo) out.push({ type: 'photo', fileId: photo.file_id, contentType: 'image/jpeg', size: photo.file_size });
+  for (const type of ['document', 'audio', 'video', 'voice', 'animation']) {
+    const f = m[type];
+    if (f) out.push({ type, fileId: f.file_id, name: f.file_name, contentType: f.mime_type, size: f.file_size });
+  }
+  return out;
+}
+
 async function telegramAdapter(config) {
   const b = base('telegram');
   const api = `https://api.telegram.org/bot${config.token}`;
-  let offset = 0, running = false;
+  const call = (method, body) => fetch(`${api}/${method}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+  let offset = 0, running = false, me = {};
+  function toMessage(m) {
+    const text = m.text ?? m.caption ?? '';
+    const entities = m.entities || m.caption_entities || [];
+    const handle = me.username ? `@${me.username}` : null;
+    const mentioned = entities.some(e => (e.type === 'mention' && text.substr(e.offset, e.length) === handle) || (e.type === 'text_mention' && e.user?.id === me.id))
+      || m.reply_to_message?.from?.id === me.id;
+    return message({
+      id: m.message_id,
+      content: handle ? text.split(handle).join('').trim() : text,
+      author: m.from?.username || String(m.from?.id),
+      authorId: m.from?.id,
+      channelId: m.chat.id,
+      threadId: m.is_topic_message ? m.message_thread_id : null,
+      replyTo: m.reply_to_message?.message_id ?? null,
+      mentioned,
+      isDirect: m.chat.type === 'private',
+      attachments: telegramAttachments(m),
+    });
+  }
   async function poll() {
     while (running) {
       try {
         const r = await fetch(`${api}/getUpdates?offset=${offset}&timeout=30`).then(r => r.json());
         for (const u of r.result || []) {
           offset = u.update_id + 1;
-          if (u.message?.text) b._emit({ id: u.update_id, content: u.message.text, author: u.message.from?.username || String(u.message.from.id), channelId: u.message.chat.id, timestamp: Date.now() });
+          const m = u.message;
+          if (m && (m.text || m.caption || telegramAttachments(m).length)) b._emit(toMessage(m));
         }
       } catch {}
     }
   }
   return {
     ...b,
-    start: async () => { running = true; poll(); },
+    start: async () => {
+      me = await fetch(`${api}/getMe`).then(r => r.json()).then(r => r.result || {}).catch(() => ({}));
+      running = true;
+      poll();
+    },
     stop: () => { running = false; },
-    send: (chatId, text) => fetch(`${api}/sendMessage`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ chat_id: chatId, text }) }),
+    send: async (chatId, text, options = {}) => {
+      const sent = [];
+      for (const [i, chunk] of splitMessage(text, PLATFORM_LIMITS.telegram).entries()) {
+        const body = { chat_id: chatId, text: chunk };
+        if (options.threadId) body.message_thread_id = options.threadId;
+        if (i === 0 && options.replyTo) body.reply_parameters = { message_id: options.replyTo, allow_sending_without_reply: true };
+        sent.push(await call('sendMessage', body));
+      }
+      return sent;
+    },
+    typing: (chatId, options = {}) => keepTyping(() => call('sendChatAction', { chat_id: chatId, action: 'typing', ...(options.threadId && { message_thread_id: options.threadId }) }), 4_000),
   };
 }
 
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const tooLarge = () => Object.assign(new Error('Request body too large'), { status: 413 });
+    if (Number(req.headers['content-length']) > limit) { req.resume(); return reject(tooLarge()); }
+    req.on('data', (d) => {
+      size += d.length;
+      if (size <= limit) chunks.push(d);
+      else if (size - d.length <= limit) reject(tooLarge());
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function sign(secret, payload) {
+  return createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function verifySignature(secret, timestamp, payload, signature, prefix) {
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!timestamp || !signature || !(age <= SIGNATURE_WINDOW_S)) return false;
+  const expected = Buffer.from(`${prefix}${sign(secret, payload)}`);
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+function respond(res, status, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (status === 413) headers.Connection = 'close';
+  res.writeHead(status, headers).end(JSON.stringify(body));
+}
+
 async function slackAdapter(config) {
   const b = base('slack');
   const postUrl = 'https://slack.com/api/chat.postMessage';
   const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${config.token}` };
-  const server = createServer((req, res) => {
+  const server = createServer(async (req, res) => {
     if (req.method !== 'POST') return res.end();
-    const chunks = [];
-    req.on('data', d => chunks.push(d));
-    req.on('end', () => {
-      try {
-        const body = JSON.parse(Buffer.concat(chunks).toString());
-        if (body.type === 'url_verification') return res.end(JSON.stringify({ challenge: body.challenge }));
-        const ev = body.event;
-        if (ev?.type === 'message' && !ev.bot_id) b._emit({ id: ev.ts, content: ev.text, author: ev.user, channelId: ev.channel, timestamp: Date.now() });
-        res.end('ok');
-      } catch { res.writeHead(400).end(); }
-    });
+    try {
+      const raw = (await readBody(req, config.maxBodyBytes ?? DEFAULT_MAX_BODY_BYTES)).toString();
+      const ts = req.headers['x-slack-request-timestamp'];
+      if (config.secret && !verifySignature(config.secret, ts, `v0:${ts}:${raw}`, req.headers['x-slack-signature'], 'v0='))
+        return res.writeHead(401).end();
+      const body = JSON.parse(raw);
+      if (body.type === 'url_verification') return res.end(JSON.stringify({ challenge: body.challenge }));
+      const ev = body.event;
+      if (ev?.type === 'message' && !ev.bot_id && (!ev.subtype || ev.subtype === 'file_share')) {
+        const self = body.authorizations?.[0]?.user_id;
+        const mention = self ? `<@${self}>` : null;
+        b._emit(message({
+          id: ev.ts,
+          content: mention ? (ev.text || '').split(mention).join('').trim() : ev.text,
+          author: ev.user,
+          authorId: ev.user,
+          channelId: ev.channel,
+          threadId: ev.thread_ts ?? null,
+          replyTo: ev.thread_ts && ev.thread_ts !== ev.ts ? ev.thread_ts : null,
+          mentioned: !!mention && (ev.text || '').includes(mention),
+          isDirect: ev.channel_type === 'im',
+          attachments: (ev.files || []).map(f => ({ name: f.name, url: f.url_private, contentType: f.mimetype, size: f.size })),
+        }));
+      }
+      res.end('ok');
+    } catch (e) { res.writeHead(e.status || 400, e.status === 413 ? { Connection: 'close' } : {}).end(); }
   });
   return {
     ...b,
     start: () => new Promise(r => server.listen(config.port || 3000, r)),
     stop: () => new Promise(r => server.close(r)),
-    send: (channelId, text) => fetch(postUrl, { method: 'POST', headers, body: JSON.stringify({ channel: channelId, text }) }),
+    send: async (channelId, text, options = {}) => {
+      const blocks = splitMessage(text, PLATFORM_LIMITS.slack).map(chunk => ({ type: 'section', text: { type: 'mrkdwn', text: chunk } }));
+      const threadTs = options.threadId ?? (config.replyInThread ? options.replyTo : undefined);
+      const sent = [];
+      for (let i = 0; i < blocks.length; i += SLACK_MAX_BLOCKS) {
+        const group = blocks.slice(i, i + SLACK_MAX_BLOCKS);
+        const body = { channel: channelId, text: group[0].text.text, blocks: group, ...(threadTs && { thread_ts: threadTs }) };
+        sent.push(await fetch(postUrl, { method: 'POST', headers, body: JSON.stringify(body) }));
+      }
+      return sent;
+    },
   };
 }
 
 async function webhookAdapter(config) {
   const b = base('webhook');
-  const server = createServer((req, res) => {
+  const replyTimeoutMs = config.replyTimeoutMs ?? DEFAULT_REPLY_TIMEOUT_MS;
+  const waiting = new Map();
+  const allowedCallbacks = new Set(config.allowedCallbackUrls || []);
+
+  function dequeue(channelId, waiter) {
+    const queue = waiting.get(channelId) || [];
+    queue.splice(queue.indexOf(waiter), 1);
+    if (queue.length === 0) waiting.delete(channelId);
+    clearTimeout(waiter.timer);
+  }
+
+  function take(channelId, replyTo) {
+    const queue = waiting.get(channelId) || [];
+    const waiter = replyTo != null ? queue.find(w => w.id === replyTo) : undefined;
+    if (waiter) dequeue(channelId, waiter);
+    return waiter;
+  }
+
+  function postCallback(url, payload) {
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.secret) {
+      const ts = String(Math.floor(Date.now() / 1000));
+      Object.assign(headers, { 'X-Webhook-Timestamp': ts, 'X-Webhook-Signature': `sha256=${sign(config.secret, `${ts}.${body}`)}` });
+    }
+    return fetch(url, { method: 'POST', headers, body });
+  }
+
+  const server = createServer(async (req, res) => {
     if (req.method !== 'POST') return res.writeHead(405).end();
-    const chunks = [];
-    req.on('data', d => chunks.push(d));
-    req.on('end', () => {
-      try {
-        const body = JSON.parse(Buffer.concat(chunks).toString());
-        b._emit({ id: Date.now(), content: body.content || body.text || body.message, author: body.author || 'webhook', channelId: body.channelId || body.channel || 'webhook', timestamp: Date.now() });
-        res.writeHead(200).end(JSON.stringify({ ok: true }));
-      } catch { res.writeHead(400).end(); }
-    });
+    let body, channelId, callbackUrl;
+    try {
+      const raw = (await readBody(req, config.maxBodyBytes ?? DEFAULT_MAX_BODY_BYTES)).toString();
+      const ts = req.headers['x-webhook-timestamp'];
+      if (config.secret && !verifySignature(config.secret, ts, `${ts}.${raw}`, req.headers['x-webhook-signature'], 'sha256='))
+        return respond(res, 401, { ok: false, error: 'invalid signature' });
+      body = JSON.parse(raw);
+      if (!body || typeof body !== 'object' || Array.isArray(body)) return respond(res, 400, { ok: false, error: 'body must be a JSON object' });
+      channelId = String(body.channelId || body.channel || 'webhook');
+      if (body.callbackUrl && !allowedCallbacks.has(body.callbackUrl)) return respond(res, 400, { ok: false, error: 'callbackUrl is not allowed' });
+      callbackUrl = body.callbackUrl || config.callbackUrl;
+    } catch (e) { return respond(res, e.status || 400, { ok: false, error: e.message }); }
+
+    const id = randomUUID();
+    const waiter = { id, callbackUrl };
+    if (!callbackUrl) {
+      waiter.res = res;
+      waiter.timer = setTimeout(() => { dequeue(channelId, waiter); respond(res, 504, { ok: false, id, error: 'timed out waiting for a reply' }); }, replyTimeoutMs);
+      res.on('close', () => { if (!res.writableEnded) dequeue(channelId, waiter); });
+    } else respond(res, 202, { ok: true, id });
+    if (!waiting.has(channelId)) waiting.set(channelId, []);
+    waiting.get(channelId).push(waiter);
+    b._emit(message({
+      id,
+      content: body.content || body.text || body.message,
+      author: body.author || 'webhook',
+      channelId,
+      threadId: body.threadId ?? null,
+      replyTo: body.replyTo ?? null,
+      mentioned: true,
+      isDirect: true,
+      attachments: Array.isArray(body.attachments) ? body.attachments : [],
+    }));
   });
+
   return {
     ...b,
     start: () => new Promise(r => server.listen(config.port || 3000, r)),
-    stop: () => new Promise(r => server.close(r)),
-    send: async () => {},
+    stop: () => {
+      for (const [channelId, queue] of waiting) for (const waiter of [...queue]) {
+        dequeue(channelId, waiter);
+        if (waiter.res) respond(waiter.res, 503, { ok: false, id: waiter.id, error: 'shutting down' });
+      }
+      return new Promise(r => server.close(r));
+    },
+    send: async (channelId, text, options = {}) => {
+      const waiter = take(String(channelId), options.replyTo);
+      if (waiter?.res) respond(waiter.res, 200, { ok: true, id: waiter.id, text });
+      else if (waiter) await postCallback(waiter.callbackUrl, { id: waiter.id, channelId: String(channelId), text });
+      else if (config.callbackUrl) await postCallback(config.callbackUrl, { channelId: String(channelId), text });
+    },
+    fail: async (channelId, error, options = {}) => {
+      const waiter = take(String(channelId), options.replyTo);
+      if (waiter?.res) respond(waiter.res, error.status || 502, { ok: false, id: waiter.id, error: error.message });
+      else if (waiter) await postCallback(waiter.callbackUrl, { id: waiter.id, channelId: String(channelId), error: error.message });
+    },
+  };
+}
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+function escapeRegExp(text) { return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'); }
+
+async function matrixAdapter(config) {
+  const b = base('matrix');
+  const homeserver = (config.homeserver || '').replace(/\/$/, '');
+  if (!homeserver) throw new Error('matrix adapter needs "homeserver"');
+  const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${config.token}` };
+  const api = async (method, path, body) => {
+    const r = await fetch(`${homeserver}/_matrix/client/v3${path}`, { method, headers, body: body && JSON.stringify(body) });
+    const json = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(`matrix ${method} ${path.split('?')[0]}: ${json.error || r.status}`);
+    return json;
+  };
+  const room = (roomId) => `/rooms/${encodeURIComponent(roomId)}`;
+  const members = new Map();
+  let running = false, since = null, userId = config.userId, txn = 0;
+
+  function toMessage(roomId, ev) {
+    const c = ev.content || {};
+    const rel = c['m.relates_to'] || {};
+    const replyTo = rel['m.in_reply_to']?.event_id ?? null;
+    let text = c.url ? '' : String(c.body ?? '');
+    if (replyTo && !rel.is_falling_back) text = text.replace(/^(> .*\n)+\n?/, '');
+    const local = userId.slice(1).split(':')[0];
+    const mentioned = !!c['m.mentions']?.user_ids?.includes(userId) || text.includes(userId) || new RegExp(`\\b${escapeRegExp(local)}\\b`, 'i').test(text);
+    return message({
+      id: ev.event_id,
+      content: text.replace(new RegExp(`^(${escapeRegExp(userId)}|@?${escapeRegExp(local)})[:,]?\\s*`, 'i'), '').trim(),
+      author: ev.sender,
+      authorId: ev.sender,
+      channelId: roomId,
+      threadId: rel.rel_type === 'm.thread' ? rel.event_id : null,
+      replyTo,
+      mentioned,
+      isDirect: members.get(roomId) === 2,
+      attachments: c.url ? [{ name: c.body, url: c.url, contentType: c.info?.mimetype, size: c.info?.size }] : [],
+      timestamp: ev.origin_server_ts ?? Date.now(),
+    });
+  }
+
+  function handleSync(r, emit) {
+    for (const roomId of Object.keys(r.rooms?.invite || {}))
+      if (config.autoJoin !== false) api('POST', `/join/${encodeURIComponent(roomId)}`, {}).catch(() => {});
+    for (const [roomId, joined] of Object.entries(r.rooms?.join || {})) {
+      const count = joined.summary?.['m.joined_member_count'];
+      if (count != null) members.set(roomId, count);
+      if (!emit) continue;
+      for (const ev of joined.timeline?.events || []) {
+        if (ev.type !== 'm.room.message' || ev.sender === userId || ev.content?.['m.relates_to']?.rel_type === 'm.replace') continue;
+        b._emit(toMessage(roomId, ev));
+      }
+    }
+  }
+
+  async function sync(timeout) {
+    const query = new URLSearchParams({ timeout: String(timeout) });
+    if (since) query.set('since', since);
+    const r = await api('GET', `/sync?${query}`);
+    since = r.next_batch;
+    return r;
+  }
+
+  async function poll() {
+    while (running) {
+      try { handleSync(await sync(30_000), true); }
+      catch { if (running) await sleep(RECONNECT_DELAY_MS); }
+    }
+  }
+
+  return {
+    ...b,
+    start: async () => {
+      userId ??= (await api('GET', '/account/whoami')).user_id;
+      for (const roomId of config.join || []) await api('POST', `/join/${encodeURIComponent(roomId)}`, {});
+      handleSync(await sync(0), false);
+      running = true;
+      poll();
+    },
+    stop: () => { running = false; },
+    send: async (roomId, text, options = {}) => {
+      const sent = [];
+      for (const [i, body] of splitMessage(text, PLATFORM_LIMITS.matrix).entries()) {
+        const content = { msgtype: 'm.text', body };
+        const replyTo = i === 0 ? options.replyTo : null;
+        if (options.threadId) content['m.relates_to'] = { rel_type: 'm.thread', event_id: options.threadId, is_falling_back: !replyTo, 'm.in_reply_to': { event_id: replyTo || options.threadId } };
+        else if (replyTo) content['m.relates_to'] = { 'm.in_reply_to': { event_id: replyTo } };
+        sent.push(await api('PUT', `${room(roomId)}/send/m.room.message/${Date.now()}-${++txn}`, content));
+      }
+      return sent;
+    },
+    typing: (roomId) => {
+      const path = `${room(roomId)}/typing/${encodeURIComponent(userId)}`;
+      const stop = keepTyping(() => api('PUT', path, { typing: true, timeout: 30_000 }), 20_000);
+      return () => { stop(); api('PUT', path, { typing: false }).catch(() => {}); };
+    },
+  };
+}
+
+function parseIRC(line) {
+  const match = line.match(/^(?::(\S+) )?(\S+)(.*)$/);
+  if (!match) return null;
+  const [, prefix = '', command, rest] = match;
+  const trailing = rest.indexOf(' :');
+  const params = (trailing >= 0 ? rest.slice(0, trailing) : rest).split(' ').filter(Boolean);
+  if (trailing >= 0) params.push(rest.slice(trailing + 2));
+  return { prefix, nick: prefix.split('!')[0], command: command.toUpperCase(), params };
+}
+
+function splitBytes(line, maxBytes) {
+  const out = [];
+  let current = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > maxBytes) { out.push(current); current = ''; }
+    current += ch;
+  }
+  if (current) out.push(current);
+  return out;
+}
+
+async function ircAdapter(config) {
+  const b = base('irc');
+  if (!config.server) throw new Error('irc adapter needs "server"');
+  const secure = config.tls ?? true;
+  const port = config.port || (secure ? 6697 : 6667);
+  const password = config.password ?? config.token;
+  const floodDelayMs = config.floodDelayMs ?? 500;
+  let nick = config.nick || 'acpreact';
+  let socket = null, running = false;
+  const write = (line) => socket?.write(`${line.replace(/[\r\n]/g, ' ')}\r\n`);
+
+  function onLine(line, registered) {
+    const msg = parseIRC(line);
+    if (!msg) return;
+    if (msg.command === 'PING') write(`PONG :${msg.params[0] ?? ''}`);
+    else if (msg.command === '001') {
+      nick = msg.params[0] || nick;
+      for (const channel of config.join || []) write(`JOIN ${channel}`);
+      registered();
+    } else if (msg.command === '433') { nick = `${nick}_`; write(`NICK ${nick}`); }
+    else if (msg.command === 'PRIVMSG') {
+      const [target, text = ''] = msg.params;
+      if (text.startsWith('\x01')) return;
+      const isDirect = !/^[#&+!]/.test(target);
+      const address = new RegExp(`^${escapeRegExp(nick)}[:,]\\s*`, 'i');
+      b._emit(message({
+        id: randomUUID(),
+        content: text.replace(address, ''),
+        author: msg.nick,
+        authorId: msg.prefix,
+        channelId: isDirect ? msg.nick : target,
+        mentioned: address.test(text) || new RegExp(`\\b${escapeRegExp(nick)}\\b`, 'i').test(text),
+        isDirect,
+      }));
+    }
+  }
+
+  function connect() {
+    return new Promise((resolve, reject) => {
+      const options = { host: config.server, port };
+      socket = secure ? tlsConnect({ ...options, servername: config.server }) : netConnect(options);
+      socket.setEncoding('utf8');
+      createInterface({ input: socket, crlfDelay: Infinity }).on('line', (line) => onLine(line, resolve));
+      socket.on('error', (e) => { reject(e); if (running) console.error('irc error:', e.message); });
+      socket.on('close', () => {
+        reject(new Error(`irc: connection to ${config.server} closed`));
+        if (running) setTimeout(() => running && connect().catch(() => {}), RECONNECT_DELAY_MS);
+      });
+      if (password) write(`PASS ${password}`);
+      write(`NICK ${nick}`);
+      write(`USER ${config.username || nick} 0 * :${config.realname || 'acpreact'}`);
+    });
+  }
+
+  return {
+    ...b,
+    start: async () => { await connect(); running = true; },
+    stop: () => { running = false; write('QUIT :bye'); socket?.end(); },
+    send: async (target, text) => {
+      const lines = String(text).split('\n').filter(l => l.trim()).flatMap(l => splitBytes(l, IRC_LINE_BYTES));
+      for (const [i, line] of lines.entries()) {
+        if (i > 0) await sleep(floodDelayMs);
+        write(`PRIVMSG ${target} :${line}`);
+      }
+    },
+  };
+}
+
+async function stdioAdapter(config) {
+  const b = base('stdio');
+  const input = config.input || process.stdin;
+  const output = config.output || process.stdout;
+  const end = new EventEmitter();
+  let rl = null, seq = 0, stopped = false;
+  const write = (obj) => output.write(`${JSON.stringify(obj)}\n`);
+  const replyFields = (options) => ({
+    ...(options.replyTo != null && { replyTo: options.replyTo }),
+    ...(options.threadId != null && { threadId: options.threadId }),
+  });
+
+  function onLine(line) {
+    if (!line.trim()) return;
+    let body;
+    try { body = JSON.parse(line); } catch {}
+    if (!body || typeof body !== 'object') body = { content: line };
+    b._emit(message({
+      id: body.id ?? ++seq,
+      content: body.content ?? body.text ?? '',
+      author: body.author || 'stdio',
+      channelId: String(body.channelId ?? body.channel ?? 'stdio'),
+      threadId: body.threadId ?? null,
+      replyTo: body.replyTo ?? null,
+      mentioned: true,
+      isDirect: true,
+      attachments: Array.isArray(body.attachments) ? body.attachments : [],
+    }));
+  }
+
+  return {
+    ...b,
+    onEnd: (fn) => end.on('end', fn),
+    start: async () => {
+      rl = createInterface({ input, crlfDelay: Infinity });
+      rl.on('line', onLine);
+      rl.on('close', () => { if (!stopped) end.emit('end'); });
+    },
+    stop: () => { stopped = true; rl?.close(); },
+    send: async (channelId, text, options = {}) => write({ channelId, text, ...replyFields(options) }),
+    fail: async (channelId, error, options = {}) => write({ channelId, error: error.message, ...(error.status && { status: error.status }), ...replyFields(options) }),
   };
 }
 
@@ -101,8 +594,53 @@ async function createAdapter(type, config = {}) {
     case 'telegram': return telegramAdapter(config);
     case 'slack': return slackAdapter(config);
     case 'webhook': return webhookAdapter(config);
-    default: throw new Error(`Unknown adapter: ${type}. Available: discord, telegram, slack, webhook`);
+    case 'matrix': return matrixAdapter(config);
+    case 'irc': return ircAdapter(config);
+    case 'stdio': return stdioAdapter(config);
+    default: throw new Error(`Unknown adapter: ${type}. Available: ${ADAPTER_TYPES.join(', ')}`);
   }
 }
 
-export { createAdapter };
+function approvalKey(channelId, threadId) { return `${channelId}:${threadId ?? ''}`; }
+
+function authorOf(msg) { return msg.authorId ?? msg.author ?? null; }
+
+function createChatApproval(adapter, options = {}) {
+  const timeoutMs = options.timeoutMs ?? DEFAULT_APPROVAL_TIMEOUT_MS;
+  const pending = new Map();
+  const settle = (key, waiter, approved) => {
+    clearTimeout(waiter.timer);
+    const queue = pending.get(key) || [];
+    queue.splice(queue.indexOf(waiter), 1);
+    if (queue.length === 0) pending.delete(key);
+    waiter.resolve(approved);
+  };
+  return {
+    request: (channelId, sendOptions = {}, requester = {}) => async ({ tool, params }) => {
+      const key = approvalKey(channelId, sendOptions.threadId);
+      await adapter.send(channelId, `Allow tool \`${tool}\` with ${JSON.stringify(params)}? Reply yes or no.`, sendOptions);
+      return new Promise((resolve) => {
+        const waiter = { resolve, tool, author: authorOf(requester), canApprove: requester.canApprove };
+        waiter.timer = setTimeout(() => settle(key, waiter, false), timeoutMs);
+        if (!pending.has(key)) pending.set(key, []);
+        pending.get(key).push(waiter);
+      });
+    },
+    handle(msg) {
+      const answer = String(msg.content ?? '').trim();
+      const approved = APPROVE_PATTERN.test(answer);
+      if (!approved && !DENY_PATTERN.test(answer)) return false;
+      const key = approvalKey(msg.channelId, msg.threadId);
+      const waiter = pending.get(key)?.find(w => w.author == null || String(w.author) === String(authorOf(msg)));
+      if (!waiter) return false;
+      settle(key, waiter, approved && (!waiter.canApprove || !!waiter.canApprove(msg, waiter.tool)));
+      return true;
+    },
+  };
+}
+
+function shouldRespond(msg, config = {}) {
+  return config.respondTo !== 'mentions' || msg.mentioned || msg.isDirect;
+}
+
+export { createAdapter, createChatApproval, splitMessage, shouldRespond, ADAPTER_TYPES, PLATFORM_LIMITS };
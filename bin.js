@@ -1,8 +1,11 @@
 #!/usr/bin/env node
-import { ACPProtocol } from './core.js';
-import { createAdapter } from './adapters.js';
+import { ADAPTER_TYPES } from './adapters.js';
 import { createGUI } from './gui.js';
 import { BUILTIN_ARG_BUILDERS } from './services.js';
+import { FileSessionStore } from './sessions.js';
+import { proxyBridge } from './mcp.js';
+import { loadConfig, createFromConfig, resolveAdapters, resolveAccess } from './config.js';
+import { createDaemon } from './daemon.js';
 
 const args = process.argv.slice(2);
 const flags = {}, positional = [];
@@ -13,59 +16,172 @@ for (let i = 0; i < args.length; i++) {
   } else positional.push(args[i]);
 }
 
-const agentName = flags.agent || process.env.ACPREACT_AGENT || 'claude';
-const adapterType = flags.adapter;
+if (positional[0] === 'mcp') {
+  if (!flags.bridge) { console.error('acpreact mcp: --bridge <socket> is required'); process.exit(1); }
+  await proxyBridge(flags.bridge).catch(e => { console.error(`acpreact mcp: ${e.message}`); process.exit(1); });
+  await new Promise(resolve => process.stdout.write('', resolve));
+  process.exit(0);
+}
+
+const loaded = await loadConfig(flags.config).catch((e) => { console.error(e.message); process.exit(1); });
+const { config } = loaded;
+const explicitAgent = flags.agent || process.env.ACPREACT_AGENT || config.agent;
+const useStack = !explicitAgent && config.services?.length > 0;
+const agentName = useStack ? config.services.map(s => s.cli || s.name).join('→') : explicitAgent || 'claude';
+const runOptions = useStack ? {} : { cli: agentName };
 const AGENTS = Object.keys(BUILTIN_ARG_BUILDERS);
-const ADAPTERS = ['discord', 'telegram', 'slack', 'webhook'];
+const TOKEN_ADAPTERS = ['discord', 'telegram', 'slack', 'matrix'];
+
+const { file: configSessionFile, ...sessionOptions } = config.sessions || {};
+const sessionFile = flags['session-file'] || process.env.ACPREACT_SESSION_FILE;
+const acpOverrides = {
+  ...(sessionFile && { sessions: { ...sessionOptions, store: new FileSessionStore(sessionFile) } }),
+  ...(typeof flags.record === 'string' && { record: flags.record }),
+  ...(typeof flags.replay === 'string' && { replay: flags.replay }),
+};
+const createACP = (overrides = {}) => createFromConfig(loaded, { ...acpOverrides, ...overrides });
+
+const accessPolicy = resolveAccess(loaded);
+const adapterConfigs = resolveAdapters(flags.adapter ? { adapters: [{ type: flags.adapter, port: Number(flags.port) || 3000 }] } : config);
+
+function describeService(svc, i, usage) {
+  const parts = [`${i + 1}. ${svc.cli || svc.name}${svc.profile ? ` [${svc.profile}]` : ''}`, `binary=${svc.binary || svc.cli || svc.name}`];
+  if (svc.model) parts.push(`model=${svc.model}`);
+  if (svc.timeout) parts.push(`timeout=${svc.timeout}ms`);
+  if (svc.transport) parts.push(`transport=${svc.transport}`);
+  if (svc.args) parts.push(`args=${JSON.stringify(svc.args)}`);
+  if (svc.buildArgs) parts.push('buildArgs=custom');
+  if (svc.cwd || svc.workspace) parts.push(svc.workspace ? `workspace=${svc.workspace}` : `cwd=${svc.cwd}`);
+  if (svc.env?.allow) parts.push(`env=${svc.env.allow.join(',')}`);
+  if (svc.parser) parts.push(`parser=${typeof svc.parser === 'function' ? 'custom' : svc.parser}`);
+  if (svc.weight !== undefined) parts.push(`weight=${svc.weight}`);
+  if (svc.priority !== undefined) parts.push(`priority=${svc.priority}`);
+  if (svc.budget) parts.push(`budget=${Object.entries(svc.budget).map(([k, v]) => `${k}:${v}`).join(',')}`);
+  if (usage?.calls) parts.push(`today=${usage.calls} call${usage.calls === 1 ? "" : "s"}${usage.costUsd ? ` $${usage.costUsd.toFixed(4)}` : ''}`);
+  return `  ${parts.join('  ')}`;
+}
 
 if (flags.list) {
-  console.log('Agents:', AGENTS.join(', '));
-  console.log('Adapters:', ADAPTERS.join(', '));
+  const acp = await createACP().catch((e) => { console.error(e.message); process.exit(1); });
+  console.log('Config:', loaded.path || 'none (defaults)');
+  if (config.instruction) console.log('Instruction:', JSON.stringify(config.instruction.length > 80 ? `${config.instruction.slice(0, 77)}...` : config.instruction));
+  if (useStack) {
+    console.log(`Service stack (${typeof config.routing?.strategy === 'function' ? 'custom' : config.routing?.strategy || 'priority'} routing):`);
+    config.services.forEach((svc, i) => console.log(describeService(svc, i, acp.registry.getUsage(svc.cli || svc.name, svc.profile))));
+  } else console.log('Agent:', agentName);
+  console.log('Tools:', acp.getToolsList().map(t => t.name).join(', ') || 'none');
+  console.log(adapterConfigs.length ? 'Adapters:' : 'Adapters: none');
+  for (const a of adapterConfigs) {
+    const route = a.services ? `  services: ${a.services.map(s => s.cli || s.name).join('→')}` : a.agent ? `  agent: ${a.agent}` : '';
+    const channels = a.channels ? `  channels: ${Object.keys(a.channels).join(', ')}` : '';
+    const token = TOKEN_ADAPTERS.includes(a.type) ? `  token: ${a.token ? 'set' : 'missing'}` : '';
+    const where = a.type === 'irc' ? `  server: ${a.server}  nick: ${a.nick || 'acpreact'}` : a.type === 'matrix' ? `  homeserver: ${a.homeserver}` : a.port && a.type !== 'stdio' ? `  port: ${a.port}` : '';
+    console.log(`  ${a.name || a.type}${token}${a.secret ? '  secret: set' : ''}${where}${route}${channels}`);
+  }
+  if (accessPolicy) {
+    const rules = ['allow', 'deny'].filter(k => accessPolicy[k]).map(k => `${k}: ${Object.keys(accessPolicy[k]).join('/')}`);
+    const roles = Object.keys(accessPolicy.roles || {});
+    const quotas = Object.entries(accessPolicy.quotas || {}).map(([k, q]) => `${k} ${q.limit}/${q.windowMs}ms`);
+    console.log('Access:', [...rules, roles.length && `roles: ${roles.join(', ')}`, quotas.length && `quotas: ${quotas.join(', ')}`, accessPolicy.audit && `audit: ${accessPolicy.audit}`].filter(Boolean).join('  ') || 'open');
+  }
+  if (sessionFile || configSessionFile) console.log('Sessions:', sessionFile || configSessionFile);
+  if (config.cache) console.log('Cache:', `${config.cache.file || 'memory'}, ttl ${acp.cache.ttlMs}ms, max ${acp.cache.maxEntries} entries`);
+  console.log('Available agents:', AGENTS.join(', '));
+  console.log('Available adapters:', ADAPTER_TYPES.join(', '));
   process.exit(0);
 }
 
-async function getAdapter() {
-  if (!adapterType) return null;
-  const tokenKey = `${adapterType.toUpperCase()}_BOT_TOKEN`;
-  return createAdapter(adapterType, { token: process.env[tokenKey], port: Number(flags.port) || 3000 });
+async function streamToGUI(gui, acp, prompt, options) {
+  let pending = '';
+  for await (const ev of acp.stream(prompt, options)) {
+    if (ev.type === 'text-delta') {
+      pending += ev.text;
+      const nl = pending.lastIndexOf('\n');
+      if (nl >= 0) { gui.log(pending.slice(0, nl), 'out'); pending = pending.slice(nl + 1); }
+    } else if (ev.type === 'tool-call') gui.log(`→ ${ev.call.method} ${JSON.stringify(ev.call.params)}`, 'in');
+    else if (ev.type === 'stream-reset') { pending = ''; gui.log(`${ev.from?.name} rate-limited, falling back to ${ev.to.name}`, 'error'); }
+    else if (ev.type === 'done') { if (pending.trim()) gui.log(pending, 'out'); return ev.result; }
+  }
 }
 
-if (flags.gui) {
-  const gui = createGUI({ agent: agentName });
-  const acp = new ACPProtocol('');
-  getAdapter().then(async (adapter) => {
-    if (adapter) {
-      gui.addAdapter(adapterType);
-      adapter.onMessage(async (msg) => {
-        gui.log(`[${adapterType}] ${msg.author}: ${msg.content}`, 'in');
-        const r = await acp.process(msg.content, { cli: agentName }).catch(e => ({ text: e.message, error: true }));
-        gui.log(r.text || r.rawOutput, r.error ? 'error' : 'out');
-        if (r.text) await adapter.send(msg.channelId, r.text).catch(() => {});
-      });
-      await adapter.start();
-    }
-    gui.start(async (prompt) => {
-      const r = await acp.process(prompt, { cli: agentName }).catch(e => ({ text: e.message, error: true }));
-      gui.log(r.text || r.rawOutput, r.error ? 'error' : 'out');
+if (positional[0] === 'serve') {
+  if (!adapterConfigs.length) { console.error('acpreact serve: no adapters configured (use --adapter or "adapters" in the config file)'); process.exit(1); }
+  const acp = await createACP().catch((e) => { console.error(e.message); process.exit(1); });
+  const daemon = createDaemon(acp, adapterConfigs, { defaults: runOptions, access: accessPolicy });
+  const log = (line) => console.error(`${new Date().toISOString()} ${line}`);
+  daemon.on('started', ({ adapter }) => log(`${adapter} started`));
+  daemon.on('message', ({ adapter, msg }) => log(`[${adapter}:${msg.channelId}] ${msg.author}: ${msg.content}`));
+  daemon.on('reply', ({ adapter, channelId, result }) => log(`[${adapter}:${channelId}] replied (${result.stopReason}, ${result.text.length} chars)`));
+  daemon.on('rejected', (e) => log(`[${e.adapter}:${e.channelId}] rejected ${e.author}: ${e.reason}${e.rule ? ` (${e.rule})` : ''}${e.scope ? ` (${e.scope} quota)` : ''}`));
+  daemon.on('failure', ({ adapter, channelId, error }) => console.error(`${new Date().toISOString()} [${adapter}:${channelId}] ${error.message}`));
+  const shutdown = (signal) => {
+    log(`${signal} received, shutting down`);
+    setTimeout(() => process.exit(1), 10_000).unref();
+    daemon.stop().then(() => process.exit(0));
+  };
+  daemon.on('input-end', async ({ adapter }) => {
+    log(`${adapter} input closed, finishing pending messages`);
+    await daemon.idle();
+    await daemon.stop();
+    process.exit(0);
+  });
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  await daemon.start().catch(async (e) => { console.error(`acpreact serve: ${e.message}`); await daemon.stop(); process.exit(1); });
+} else if (flags.gui) {
+  if (adapterConfigs.some(a => a.type === 'stdio')) { console.error('The stdio adapter cannot be used with --gui; use acpreact serve'); process.exit(1); }
+  const gui = createGUI({
+    agent: agentName,
+    onAgent: (name) => {
+      if (!AGENTS.includes(name) && !config.services?.some(s => (s.cli || s.name) === name)) return false;
+      runOptions.cli = name;
+    },
+  });
+  createACP({ approve: ({ tool, params }) => gui.confirm(`Allow ${tool} ${JSON.stringify(params)}?`) }).then(async (acp) => {
+    const daemon = createDaemon(acp, adapterConfigs, {
+      defaults: runOptions,
+      access: accessPolicy,
+      process: (text, options) => streamToGUI(gui, acp, text, options).catch((e) => { gui.log(e.message, 'error'); throw e; }),
     });
+    gui.attach(acp);
+    daemon.on('started', ({ adapter }) => gui.addAdapter(adapter));
+    daemon.on('message', ({ adapter, msg }) => gui.log(`[${adapter}] ${msg.author}: ${msg.content}`, 'in'));
+    daemon.on('rejected', (e) => gui.log(`[${e.adapter}] rejected ${e.author}: ${e.reason}${e.rule ? ` (${e.rule})` : ''}`, 'error'));
+    await daemon.start();
+    gui.start((prompt) => streamToGUI(gui, acp, prompt, { ...runOptions, sessionId: 'gui' }).catch((e) => gui.log(e.message, 'error')));
   }).catch(e => { console.error(e.message); process.exit(1); });
 } else if (positional.length > 0) {
-  const acp = new ACPProtocol('');
-  const r = await acp.process(positional.join(' '), { cli: agentName });
-  console.log(r.text || r.rawOutput);
+  const acp = await createACP().catch((e) => { console.error(e.message); process.exit(1); });
+  let streamed = '';
+  for await (const ev of acp.stream(positional.join(' '), runOptions)) {
+    if (ev.type === 'text-delta') { process.stdout.write(ev.text); streamed += ev.text; }
+    else if (ev.type === 'stream-reset') { if (!streamed.endsWith('\n')) process.stdout.write('\n'); streamed = ''; console.error(`[${ev.from?.name} rate-limited, falling back to ${ev.to.name}]`); }
+    else if (ev.type === 'done') {
+      if (!streamed) console.log(ev.result.text || ev.result.rawOutput);
+      else if (!streamed.endsWith('\n')) process.stdout.write('\n');
+    }
+  }
+  acp.close();
 } else {
   console.log(`acpreact v1.2.0
 Usage: acpreact [options] [prompt]
+       acpreact serve [options]         (run adapters headless until SIGTERM)
+       acpreact mcp --bridge <socket>   (started by MCP-capable agents)
 
 Options:
   --gui              Launch interactive TUI
-  --agent <name>     Agent to use (default: claude)
-  --adapter <type>   Connect adapter (discord|telegram|slack|webhook)
+  --config <file>    Config file (default: ./acpreact.config.{js,mjs,json,yaml,yml})
+  --agent <name>     Agent to use (default: config service stack, else claude)
+  --adapter <type>   Connect adapter for --gui or serve (${ADAPTER_TYPES.join('|')})
   --port <n>         Port for slack/webhook adapters (default: 3000)
-  --list             List available agents and adapters
+  --session-file <f> Persist conversation history to a JSON file
+  --list             Show the resolved configuration, agents and adapters
+  --record <file>    Record every agent invocation to a fixture file
+  --replay <file>    Serve agent output from a recorded fixture file instead of spawning
 
 Agents: ${AGENTS.join(', ')}
-Adapters: ${ADAPTERS.join(', ')}
+Adapters: ${ADAPTER_TYPES.join(', ')}
 
-Env vars: ACPREACT_AGENT, DISCORD_BOT_TOKEN, TELEGRAM_BOT_TOKEN, SLACK_BOT_TOKEN`);
+Env vars: ACPREACT_AGENT, ACPREACT_SESSION_FILE, DISCORD_BOT_TOKEN, TELEGRAM_BOT_TOKEN, SLACK_BOT_TOKEN,
+          MATRIX_BOT_TOKEN, IRC_BOT_TOKEN, SLACK_SIGNING_SECRET, WEBHOOK_SIGNING_SECRET`);
 }
@@ -0,0 +1,85 @@
+import { createHash } from 'crypto';
+import { readFile } from 'fs/promises';
+import { writeFileAtomic } from './files.js';
+
+const DEFAULT_TTL_MS = 3_600_000;
+const DEFAULT_MAX_ENTRIES = 500;
+
+function cacheKey(parts) { return createHash('sha256').update(JSON.stringify(parts)).digest('hex'); }
+
+class MemoryCacheStore {
+  constructor() { this._entries = new Map(); }
+  async load(key) { return this._entries.get(key) ?? null; }
+  async save(key, entry) { this._entries.set(key, entry); }
+  async delete(key) { this._entries.delete(key); }
+  async list() { return [...this._entries.keys()]; }
+  async entries() { return [...this._entries]; }
+}
+
+class FileCacheStore {
+  constructor(path) { this.path = path; this._data = null; this._writes = Promise.resolve(); }
+
+  async _read() {
+    if (this._data) return this._data;
+    try { this._data = JSON.parse(await readFile(this.path, 'utf8')); }
+    catch (e) { if (e.code !== 'ENOENT' && !(e instanceof SyntaxError)) throw e; this._data = {}; }
+    return this._data;
+  }
+
+  _flush() {
+    const json = JSON.stringify(this._data);
+    this._writes = this._writes.catch(() => {}).then(() => writeFileAtomic(this.path, json));
+    return this._writes;
+  }
+
+  async load(key) { return (await this._read())[key] ?? null; }
+  async save(key, entry) { (await this._read())[key] = entry; await this._flush(); }
+  async delete(key) { delete (await this._read())[key]; await this._flush(); }
+  async list() { return Object.keys(await this._read()); }
+  async entries() { return Object.entries(await this._read()); }
+}
+
+class ResponseCache {
+  constructor(options = {}) {
+    this.store = options.store || new MemoryCacheStore();
+    this.ttlMs = options.ttlMs ?? DEFAULT_TTL_MS;
+    this.maxEntries = options.maxEntries ?? DEFAULT_MAX_ENTRIES;
+  }
+
+  key(parts) { return cacheKey(parts); }
+
+  async get(key) {
+    const entry = await this.store.load(key);
+    if (!entry) return null;
+    const now = Date.now();
+    if (this.ttlMs && now - entry.createdAt >= this.ttlMs) { await this.store.delete(key); return null; }
+    entry.accessedAt = now;
+    entry.hits = (entry.hits ?? 0) + 1;
+    await this.store.save(key, entry);
+    return { value: entry.value, ageMs: now - entry.createdAt, hits: entry.hits };
+  }
+
+  async set(key, value) {
+    const now = Date.now();
+    await this.store.save(key, { value, createdAt: now, accessedAt: now, hits: 0 });
+    await this._evict();
+  }
+
+  async _evict() {
+    const entries = await this.store.entries();
+    if (entries.length <= this.maxEntries) return;
+    const now = Date.now();
+    const oldest = entries
+      .sort(([, a], [, b]) => a.accessedAt - b.accessedAt)
+      .filter(([, e], i) => i < entries.length - this.maxEntries || (this.ttlMs && now - e.createdAt >= this.ttlMs));
+    for (const [key] of oldest) await this.store.delete(key);
+  }
+
+  delete(key) { return this.store.delete(key); }
+
+  async clear() { for (const key of await this.store.list()) await this.store.delete(key); }
+
+  async size() { return (await this.store.list()).length; }
+}
+
+export { ResponseCache, MemoryCacheStore, FileCacheStore, cacheKey, DEFAULT_TTL_MS, DEFAULT_MAX_ENTRIES };
@@ -0,0 +1,452 @@
+import { existsSync, readFileSync } from 'fs';
+import { resolve, dirname, extname, isAbsolute } from 'path';
+import { pathToFileURL } from 'url';
+import { ACPProtocol } from './core.js';
+import { FileSessionStore } from './sessions.js';
+import { FileCacheStore } from './cache.js';
+import { ROUTING_STRATEGIES } from './services.js';
+import { ADAPTER_TYPES } from './adapters.js';
+import { BUILTIN_PARSERS } from './parser.js';
+import { validate } from './schema.js';
+
+const CONFIG_FILES = ['acpreact.config.js', 'acpreact.config.mjs', 'acpreact.config.json', 'acpreact.config.yaml', 'acpreact.config.yml'];
+
+const SERVICE_SCHEMA = {
+  type: 'object',
+  properties: {
+    cli: { type: 'string', minLength: 1 },
+    name: { type: 'string', minLength: 1 },
+    profile: { type: 'string' },
+    model: { type: 'string' },
+    timeout: { type: 'integer', minimum: 1 },
+    binary: { type: 'string', minLength: 1 },
+    args: { type: 'array', items: { type: 'string' } },
+    transport: { enum: ['argv', 'acp'] },
+    weight: { type: 'number', minimum: 0 },
+    priority: { type: 'number' },
+    mcp: { type: 'boolean' },
+    mcpServers: { type: 'array' },
+    failureRules: { type: 'object' },
+    buildArgs: {},
+    parser: {},
+    cwd: { type: 'string', minLength: 1 },
+    workspace: { enum: ['session', 'call'] },
+    env: {
+      type: 'object',
+      properties: {
+        allow: { type: 'array', items: { type: 'string' } },
+        deny: { type: 'array', items: { type: 'string' } },
+        set: { type: 'object', additionalProperties: { type: 'string' } },
+        stripSecrets: { type: 'boolean' },
+      },
+      additionalProperties: false,
+    },
+    maxOutputBytes: { type: 'integer', minimum: 1 },
+    promptVia: { enum: ['auto', 'argv', 'stdin', 'file'] },
+    budget: {
+      type: 'object',
+      properties: {
+        dailyCostUsd: { type: 'number', minimum: 0 },
+        dailyCalls: { type: 'integer', minimum: 0 },
+        dailyTokens: { type: 'integer', minimum: 0 },
+      },
+      additionalProperties: false,
+    },
+  },
+  additionalProperties: false,
+};
+
+const ROUTE_SCHEMA = {
+  type: 'object',
+  properties: {
+    agent: { type: 'string', minLength: 1 },
+    instruction: { type: 'string' },
+    model: { type: 'string' },
+    maxTurns: { type: 'integer', minimum: 1 },
+    services: { type: 'array', items: SERVICE_SCHEMA },
+  },
+  additionalProperties: false,
+};
+
+const ID_LIST = { type: 'array', items: { type: ['string', 'integer'] } };
+const MATCH_SCHEMA = { type: 'object', properties: { users: ID_LIST, channels: ID_LIST, adapters: ID_LIST }, additionalProperties: false };
+const QUOTA_SCHEMA = {
+  type: 'object',
+  required: ['limit', 'windowMs'],
+  properties: { limit: { type: 'integer', minimum: 1 }, windowMs: { type: 'integer', minimum: 1 } },
+  additionalProperties: false,
+};
+
+const ACCESS_SCHEMA = {
+  type: 'object',
+  properties: {
+    allow: MATCH_SCHEMA,
+    deny: MATCH_SCHEMA,
+    roles: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          ...MATCH_SCHEMA.properties,
+          tools: {},
+          quota: {},
+        },
+        additionalProperties: false,
+      },
+    },
+    quotas: { type: 'object', properties: { user: QUOTA_SCHEMA, channel: QUOTA_SCHEMA }, additionalProperties: false },
+    audit: { type: 'string' },
+    slowDownMessage: { type: 'string' },
+    deniedMessage: { type: 'string' },
+  },
+  additionalProperties: false,
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    instruction: { type: 'string' },
+    agent: { type: 'string', minLength: 1 },
+    mcp: { type: 'boolean' },
+    concurrency: { type: 'integer', minimum: 1 },
+    acpSessions: {
+      type: 'object',
+      properties: { idleMs: { type: 'integer', minimum: 0 }, max: { type: 'integer', minimum: 1 } },
+      additionalProperties: false,
+    },
+    services: { type: 'array', items: SERVICE_SCHEMA },
+    routing: {
+      type: 'object',
+      properties: {
+        strategy: {},
+        circuitThreshold: { type: 'integer', minimum: 1 },
+        circuitCooldownMs: { type: 'integer', minimum: 0 },
+        circuitTrialMs: { type: 'integer', minimum: 1 },
+        latencySamples: { type: 'integer', minimum: 1 },
+        stateFile: { type: 'string' },
+        stateFlushMs: { type: 'integer', minimum: 0 },
+      },
+      additionalProperties: false,
+    },
+    retry: {
+      type: 'object',
+      properties: {
+        retries: { type: 'integer', minimum: 0 },
+        baseDelayMs: { type: 'integer', minimum: 0 },
+        maxDelayMs: { type: 'integer', minimum: 0 },
+        fallthroughOnTimeout: { type: 'boolean' },
+        fallthroughOnExit: { type: 'boolean' },
+        fallthroughOnAuth: { type: 'boolean' },
+        rules: { type: 'object' },
+      },
+      additionalProperties: false,
+    },
+    sessions: {
+      type: 'object',
+      properties: {
+        file: { type: 'string' },
+        maxHistoryChars: { type: 'integer', minimum: 0 },
+        maxMessages: { type: 'integer', minimum: 1 },
+        strategy: { enum: ['truncate', 'summarize'] },
+      },
+      additionalProperties: false,
+    },
+    cache: {
+      type: ['boolean', 'object'],
+      properties: {
+        file: { type: 'string' },
+        ttlMs: { type: 'integer', minimum: 0 },
+        maxEntries: { type: 'integer', minimum: 1 },
+      },
+      additionalProperties: false,
+    },
+    tools: { type: 'array', items: { type: ['string', 'object'] } },
+    access: ACCESS_SCHEMA,
+    adapters: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { enum: ADAPTER_TYPES },
+          name: { type: 'string', minLength: 1 },
+          token: { type: 'string' },
+          tokenEnv: { type: 'string' },
+          port: { type: 'integer', minimum: 1, maximum: 65535 },
+          secret: { type: 'string' },
+          secretEnv: { type: 'string' },
+          callbackUrl: { type: 'string' },
+          allowedCallbackUrls: { type: 'array', items: { type: 'string' } },
+          replyTimeoutMs: { type: 'integer', minimum: 1 },
+          maxBodyBytes: { type: 'integer', minimum: 1 },
+          respondTo: { enum: ['all', 'mentions'] },
+          homeserver: { type: 'string' },
+          userId: { type: 'string' },
+          autoJoin: { type: 'boolean' },
+          join: { type: 'array', items: { type: 'string' } },
+          server: { type: 'string' },
+          tls: { type: 'boolean' },
+          nick: { type: 'string' },
+          username: { type: 'string' },
+          realname: { type: 'string' },
+          password: { type: 'string' },
+          floodDelayMs: { type: 'integer', minimum: 0 },
+          replyInThread: { type: 'boolean' },
+          ...ROUTE_SCHEMA.properties,
+          channels: { type: 'object', additionalProperties: ROUTE_SCHEMA },
+        },
+      },
+    },
+  },
+  additionalProperties: false,
+};
+
+class ConfigError extends Error {
+  constructor(message, issues = []) {
+    super(issues.length ? `${message}\n${issues.map(i => `  - ${i}`).join('\n')}` : message);
+    this.name = 'ConfigError';
+    this.issues = issues;
+  }
+}
+
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) { if (c === quote) quote = null; }
+    else if (c === '"' || c === "'") quote = c;
+    else if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) return text.slice(0, i);
+  }
+  return text;
+}
+
+function splitFlow(text) {
+  const items = [];
+  let depth = 0, quote = null, start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) { if (c === quote) quote = null; }
+    else if (c === '"' || c === "'") quote = c;
+    else if (c === '[' || c === '{') depth++;
+    else if (c === ']' || c === '}') depth--;
+    else if (c === ',' && depth === 0) { items.push(text.slice(start, i)); start = i + 1; }
+  }
+  items.push(text.slice(start));
+  return items.map(s => s.trim()).filter(Boolean);
+}
+
+function parseScalar(raw) {
+  const text = stripComment(raw).trim();
+  if (text.startsWith('"')) return JSON.parse(text);
+  if (text.startsWith("'")) return text.slice(1, -1).replace(/''/g, "'");
+  if (text.startsWith('[') || text.startsWith('{')) {
+    try { return JSON.parse(text); } catch {}
+    const items = splitFlow(text.slice(1, -1));
+    if (text.startsWith('[')) return items.map(parseScalar);
+    return Object.fromEntries(items.map((item) => {
+      const colon = item.search(/:(\s|$)/);
+      if (colon < 0) throw new ConfigError(`expected "key: value" in ${text}`);
+      return [parseScalar(item.slice(0, colon)), parseScalar(item.slice(colon + 1))];
+    }));
+  }
+  if (text === '' || text === '~' || text === 'null') return null;
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+const KEY_PATTERN = /^("[^"]*"|'[^']*'|[^\s"'#:-][^:#]*?|-[^\s:#][^:#]*?)\s*:(?:\s+(.*))?$/;
+
+function parseYAML(text) {
+  const lines = text.split(/\r?\n/);
+  let i = 0;
+  const fail = (message) => { throw new ConfigError(`YAML line ${i + 1}: ${message}`); };
+  const indentOf = (line) => line.match(/^ */)[0].length;
+  const blank = (line) => !line.trim() || line.trim().startsWith('#');
+  const skip = () => { while (i < lines.length && blank(lines[i])) i++; };
+  const isItem = (line) => /^-(\s|$)/.test(line.trim());
+  const key = (raw) => /^["']/.test(raw) ? parseScalar(raw) : raw.trim();
+
+  function parseBlockScalar(parentIndent, header) {
+    const out = [];
+    let indent = null;
+    while (i < lines.length && (!lines[i].trim() || indentOf(lines[i]) > parentIndent)) {
+      if (lines[i].trim() && indent === null) indent = indentOf(lines[i]);
+      out.push(lines[i].slice(indent ?? 0));
+      i++;
+    }
+    while (out.length && !out[out.length - 1].trim()) out.pop();
+    const body = header.startsWith('>') ? out.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ') : out.join('\n');
+    return header.endsWith('-') ? body : `${body}\n`;
+  }
+
+  function parseValue(rest, indent) {
+    if (/^[|>][-+]?$/.test(rest)) return parseBlockScalar(indent, rest);
+    if (rest) return parseScalar(rest);
+    skip();
+    if (i >= lines.length) return null;
+    const next = indentOf(lines[i]);
+    if (next > indent || (next === indent && isItem(lines[i]))) return parseBlock();
+    return null;
+  }
+
+  function parseBlock() {
+    skip();
+    if (i >= lines.length) return null;
+    const indent = indentOf(lines[i]);
+    return isItem(lines[i]) ? parseList(indent) : parseMap(indent);
+  }
+
+  function parseList(indent) {
+    const out = [];
+    while (true) {
+      skip();
+      if (i >= lines.length) break;
+      const line = lines[i], ind = indentOf(line);
+      if (ind < indent || !isItem(line)) break;
+      if (ind > indent) fail('unexpected indentation');
+      const rest = line.trim().slice(1).trim();
+      if (!rest) { i++; out.push(parseValue('', indent)); }
+      else if (KEY_PATTERN.test(stripComment(rest).trim())) { lines[i] = `${' '.repeat(indent + 2)}${rest}`; out.push(parseMap(indent + 2)); }
+      else { i++; out.push(parseScalar(rest)); }
+    }
+    return out;
+  }
+
+  function parseMap(indent) {
+    const out = {};
+    while (true) {
+      skip();
+      if (i >= lines.length) break;
+      const line = lines[i], ind = indentOf(line);
+      if (ind < indent || (ind === indent && isItem(line))) break;
+      if (ind > indent) fail('unexpected indentation');
+      const match = stripComment(line).trim().match(KEY_PATTERN);
+      if (!match) fail(`expected "key: value", got "${line.trim()}"`);
+      i++;
+      out[key(match[1])] = parseValue((match[2] ?? '').trim(), indent);
+    }
+    return out;
+  }
+
+  const result = parseBlock();
+  skip();
+  if (i < lines.length) fail('unexpected content');
+  return result ?? {};
+}
+
+function findConfig(cwd = process.cwd()) {
+  for (const file of CONFIG_FILES) {
+    const path = resolve(cwd, file);
+    if (existsSync(path)) return path;
+  }
+  return null;
+}
+
+function validateConfig(config, path = 'config') {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) throw new ConfigError(`Invalid config ${path}: expected an object`);
+  const issues = validate(CONFIG_SCHEMA, config).map(e => `${e.path.replace(/^\$\.?/, '') || '(root)'} ${e.message}`);
+  const checkServices = (services, at) => (Array.isArray(services) ? services : []).forEach((svc, i) => {
+    if (!svc || typeof svc !== 'object') return;
+    if (!svc.cli && !svc.name) issues.push(`${at}[${i}] needs "cli" or "name"`);
+    if (svc.buildArgs !== undefined && typeof svc.buildArgs !== 'function') issues.push(`${at}[${i}].buildArgs must be a function (only in acpreact.config.js)`);
+    if (svc.buildArgs && svc.args) issues.push(`${at}[${i}] has both "args" and "buildArgs"`);
+    if (svc.parser !== undefined && typeof svc.parser !== 'function' && !Object.hasOwn(BUILTIN_PARSERS, svc.parser)) issues.push(`${at}[${i}].parser must be one of ${Object.keys(BUILTIN_PARSERS).join(', ')} or a function (only in acpreact.config.js)`);
+  });
+  checkServices(config.services, 'services');
+  (Array.isArray(config.adapters) ? config.adapters : []).forEach((adapter, i) => {
+    checkServices(adapter?.services, `adapters[${i}].services`);
+    for (const [id, route] of Object.entries(adapter?.channels || {})) checkServices(route?.services, `adapters[${i}].channels.${id}.services`);
+  });
+  for (const [name, role] of Object.entries(config.access?.roles || {})) {
+    if (!role || typeof role !== 'object') continue;
+    if (role.tools !== undefined && role.tools !== '*' && !(Array.isArray(role.tools) && role.tools.every(t => typeof t === 'string')))
+      issues.push(`access.roles.${name}.tools must be "*" or a list of tool names`);
+    if (role.quota !== undefined && role.quota !== false)
+      issues.push(...validate(QUOTA_SCHEMA, role.quota, `access.roles.${name}.quota`).map(e => `${e.path} ${e.message}`));
+  }
+  const strategy = config.routing?.strategy;
+  if (strategy !== undefined && typeof strategy !== 'function' && !(strategy in ROUTING_STRATEGIES))
+    issues.push(`routing.strategy must be one of ${Object.keys(ROUTING_STRATEGIES).join(', ')} or a function`);
+  (config.tools || []).forEach((tool, i) => {
+    if (typeof tool === 'object' && (typeof tool.name !== 'string' || typeof tool.handler !== 'function'))
+      issues.push(`tools[${i}] must be a module path or { name, description, inputSchema, handler }`);
+  });
+  if (issues.length) throw new ConfigError(`Invalid config ${path}:`, issues);
+  return config;
+}
+
+async function readConfigFile(path) {
+  const ext = extname(path);
+  if (ext === '.js' || ext === '.mjs') {
+    const mod = await import(pathToFileURL(path).href);
+    const exported = mod.default ?? mod.config;
+    return typeof exported === 'function' ? await exported() : exported;
+  }
+  const text = readFileSync(path, 'utf8');
+  try { return ext === '.json' ? JSON.parse(text) : parseYAML(text); }
+  catch (e) { throw new ConfigError(`Cannot parse ${path}: ${e.message}`); }
+}
+
+async function loadConfig(path, { cwd = process.cwd() } = {}) {
+  const file = path ? resolve(cwd, path) : findConfig(cwd);
+  if (!file) return { path: null, dir: cwd, config: {} };
+  if (!existsSync(file)) throw new ConfigError(`Config file not found: ${file}`);
+  const config = validateConfig(await readConfigFile(file), file);
+  return { path: file, dir: dirname(file), config };
+}
+
+function registerToolDefs(acp, defs, source) {
+  for (const def of [].concat(defs)) {
+    if (!def || typeof def.name !== 'string' || typeof def.handler !== 'function')
+      throw new ConfigError(`Tool module ${source} must export { name, description, inputSchema, handler }, an array of them, or a function (acp) => {}`);
+    acp.registerTool(def.name, def.description || '', def.inputSchema || { type: 'object' }, def.handler, def.options);
+  }
+}
+
+async function loadTools(acp, tools = [], dir = process.cwd()) {
+  for (const tool of tools) {
+    if (typeof tool === 'object') { registerToolDefs(acp, tool, tool.name); continue; }
+    const path = isAbsolute(tool) ? tool : resolve(dir, tool);
+    const mod = await import(pathToFileURL(path).href).catch((e) => { throw new ConfigError(`Cannot load tool module ${tool}: ${e.message}`); });
+    const exported = mod.default ?? mod.tools;
+    if (typeof exported === 'function') await exported(acp);
+    else registerToolDefs(acp, exported, tool);
+  }
+}
+
+function resolveAdapters(config) {
+  return (config.adapters || []).map(({ tokenEnv, secretEnv, ...adapter }) => {
+    const resolved = { ...adapter, token: adapter.token ?? process.env[tokenEnv || `${adapter.type.toUpperCase()}_BOT_TOKEN`] };
+    const secret = adapter.secret ?? process.env[secretEnv || `${adapter.type.toUpperCase()}_SIGNING_SECRET`];
+    if (secret) resolved.secret = secret;
+    return resolved;
+  });
+}
+
+function resolveAccess({ config, dir }) {
+  if (!config.access) return null;
+  const { audit } = config.access;
+  return typeof audit === 'string' ? { ...config.access, audit: resolve(dir, audit) } : config.access;
+}
+
+async function createFromConfig(loaded, overrides = {}) {
+  const { config, dir } = loaded;
+  const { file, ...sessionOptions } = config.sessions || {};
+  const { file: cacheFile, ...cacheOptions } = typeof config.cache === 'object' ? config.cache : {};
+  const acp = new ACPProtocol(config.instruction || '', config.services, {
+    routing: config.routing && { ...config.routing, stateFile: config.routing.stateFile && resolve(dir, config.routing.stateFile) },
+    retry: config.retry,
+    mcp: config.mcp,
+    concurrency: config.concurrency,
+    acpSessions: config.acpSessions,
+    sessions: file ? { ...sessionOptions, store: new FileSessionStore(resolve(dir, file)) } : sessionOptions,
+    cache: config.cache && (cacheFile ? { ...cacheOptions, store: new FileCacheStore(resolve(dir, cacheFile)) } : cacheOptions),
+    ...overrides,
+  });
+  await loadTools(acp, config.tools, dir);
+  return acp;
+}
+
+export { loadConfig, findConfig, validateConfig, parseYAML, createFromConfig, loadTools, resolveAdapters, resolveAccess, ConfigError, CONFIG_FILES };
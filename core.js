@@ -1,76 +1,188 @@
 import { spawn } from 'child_process';
+import { writeFileSync, rmSync } from 'fs';
 import { EventEmitter } from 'events';
-import { parseTextOutput, parseToolCalls } from './parser.js';
-import { ServiceRegistry, createServiceStack, buildArgs } from './services.js';
+import { parseOutput, createStreamParser, resolveParser, sumUsage, extractJSON, formatToolCall, formatToolResult, formatToolError } from './parser.js';
+import { ServiceRegistry, createServiceStack, commandFor, supportsMCP } from './services.js';
 import { FallbackEngine } from './fallback.js';
+import { SessionManager } from './sessions.js';
+import { ResponseCache } from './cache.js';
+import { JobQueue } from './jobs.js';
+import { Recorder, Replayer } from './replay.js';
+import { WorkspaceManager, buildEnv, sandboxFor } from './sandbox.js';
+import { validate, ToolValidationError, StructuredOutputError } from './schema.js';
+import { startToolBridge } from './mcp.js';
+import { spawnACPService, ACPSessionPool } from './transport.js';
 
 const DEFAULT_TIMEOUT_MS = 120_000;
+const DEFAULT_MAX_TURNS = 1;
+const DEFAULT_STRUCTURED_RETRIES = 2;
+const DEFAULT_TOOL_CONCURRENCY = 4;
+const TOOL_DENIED = -32001;
+const TOOL_TIMEOUT = -32002;
+const TOOL_LIMIT_EXCEEDED = -32003;
+const CONTINUE_PROMPT = 'Continue. Call more tools if you still need to, otherwise reply with your final answer and no tool calls.';
 
 function attachOutputs(err, output, errorOutput) { err.output = output; err.stderr = errorOutput; return err; }
 
+function toolError(message, code) { return Object.assign(new Error(message), { code }); }
+
+function toolAllowed(name, allowedTools) { return !allowedTools || allowedTools === '*' || allowedTools.includes(name); }
+
+async function runPool(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => { while (next < items.length) { const i = next++; out[i] = await fn(items[i]); } };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+function withTimeout(run, timeoutMs, onTimeout) {
+  if (!timeoutMs) return run();
+  let timer;
+  const timeout = new Promise((_, reject) => { timer = setTimeout(() => reject(onTimeout()), timeoutMs); });
+  return Promise.race([run(), timeout]).finally(() => clearTimeout(timer));
+}
+
 function spawnService(entry, prompt, options, callbacks) {
   const abortSignal = options?._abortSignal;
   return new Promise((resolve, reject) => {
     if (abortSignal?.aborted) return reject(new Error('Aborted'));
-    const binary = entry.config?.binary || entry.name;
-    const args = entry.config?.buildArgs
-      ? entry.config.buildArgs(prompt, options)
-      : buildArgs(entry.name, prompt, options);
-    let output = '', errorOutput = '';
-    const child = spawn(binary, args, { stdio: ['pipe', 'pipe', 'pipe'], cwd: process.cwd(), env: { ...process.env } });
-    child.stdin.end();
-    child.stdout.on('data', (d) => { const c = d.toString(); output += c; callbacks?.onOutput?.(c); });
-    child.stderr.on('data', (d) => { const c = d.toString(); errorOutput += c; callbacks?.onStderr?.(c); });
+    const { binary, args, input } = commandFor(entry, prompt, options);
+    options = { ...options, timeout: options?.timeout ?? entry.config?.timeout };
+    const { cwd, env } = options._sandbox || {};
+    const maxOutputBytes = options.maxOutputBytes ?? entry.config?.maxOutputBytes;
+    if (input?.path) writeFileSync(input.path, input.text, { mode: 0o600 });
+    const cleanup = () => { if (input?.path) rmSync(input.path, { force: true }); };
+    let output = '', errorOutput = '', bytes = 0;
+    const child = spawn(binary, args, { stdio: ['pipe', 'pipe', 'pipe'], cwd: cwd ?? process.cwd(), env: env ?? buildEnv() });
+    child.stdin.on('error', () => {});
+    child.stdin.end(input?.via === 'stdin' ? input.text : undefined);
+    const overLimit = (d) => {
+      bytes += d.length;
+      if (!maxOutputBytes || bytes <= maxOutputBytes) return false;
+      child.kill(); clearTimeout(timer);
+      reject(attachOutputs(Object.assign(new Error(`Output exceeded ${maxOutputBytes} bytes`), { outputLimit: true }), output, errorOutput));
+      return true;
+    };
+    child.stdout.on('data', (d) => { if (overLimit(d)) return; const c = d.toString(); output += c; callbacks?.onOutput?.(c); });
+    child.stderr.on('data', (d) => { if (overLimit(d)) return; const c = d.toString(); errorOutput += c; callbacks?.onStderr?.(c); });
     const timeoutMs = options?.timeout ?? DEFAULT_TIMEOUT_MS;
-    const timer = setTimeout(() => { child.kill(); reject(attachOutputs(new Error(`Timeout after ${timeoutMs}ms`), output, errorOutput)); }, timeoutMs);
+    const timer = setTimeout(() => { child.kill(); reject(attachOutputs(Object.assign(new Error(`Timeout after ${timeoutMs}ms`), { timeout: true }), output, errorOutput)); }, timeoutMs);
     const onAbort = () => { child.kill(); clearTimeout(timer); reject(attachOutputs(new Error('Aborted'), output, errorOutput)); };
     abortSignal?.addEventListener('abort', onAbort, { once: true });
     child.on('close', (code) => {
       clearTimeout(timer);
+      cleanup();
       abortSignal?.removeEventListener('abort', onAbort);
       if (code !== 0 && code !== null && !output)
-        return reject(attachOutputs(new Error(`${binary} exited with code ${code}: ${errorOutput}`), output, errorOutput));
+        return reject(attachOutputs(Object.assign(new Error(`${binary} exited with code ${code}: ${errorOutput}`), { exitCode: code }), output, errorOutput));
       resolve({ rawOutput: output, stderr: errorOutput, code });
     });
-    child.on('error', (err) => { clearTimeout(timer); abortSignal?.removeEventListener('abort', onAbort); reject(attachOutputs(err, output, errorOutput)); });
+    child.on('error', (err) => { clearTimeout(timer); cleanup(); abortSignal?.removeEventListener('abort', onAbort); reject(attachOutputs(err, output, errorOutput)); });
   });
 }
 
+function formatTranscript(turns) {
+  let out = '\n\n---\n\nPrevious turns (tool results are JSON-RPC responses to your requests, matched by id):\n';
+  for (const t of turns) {
+    out += `\n[assistant, turn ${t.turn}]\n`;
+    if (t.text) out += `${t.text}\n`;
+    for (const call of t.calls) out += `${formatToolCall(call)}\n`;
+    if (t.responses.length) out += `[tool results, turn ${t.turn}]\n${t.responses.join('\n')}\n`;
+  }
+  return `${out}\n${CONTINUE_PROMPT}`;
+}
+
+function formatToolResults(turn) {
+  return `Tool results (JSON-RPC responses to your requests, matched by id):\n${turn.responses.join('\n')}\n\n${CONTINUE_PROMPT}`;
+}
+
+function schemaPrompt(text, schema) {
+  return `${text}\n\nReply with only a JSON value that conforms to this JSON Schema, with no other text:\n${JSON.stringify(schema, null, 2)}`;
+}
+
+function repairPrompt(text, schema, output, errors) {
+  const problems = errors.map(e => `- ${e.path} ${e.message}`).join('\n');
+  return `${schemaPrompt(text, schema)}\n\nYour previous reply was rejected:\n${problems}\n\nPrevious reply:\n${output}\n\nReply again with only the corrected JSON.`;
+}
+
+function summaryPrompt(messages, previous) {
+  let prompt = 'Summarise the following conversation in a few sentences. Keep names, facts, decisions and open questions. Reply with the summary only.\n\n';
+  if (previous) prompt += `Earlier summary:\n${previous}\n\n`;
+  for (const m of messages) prompt += `${m.role}: ${m.content}\n`;
+  return prompt;
+}
+
 class ACPProtocol extends EventEmitter {
-  constructor(instruction, services) {
+  constructor(instruction, services, options = {}) {
     super();
     this.messageId = 0;
     this.instruction = instruction;
     this.toolWhitelist = new Set();
     this.toolSchemas = {};
     this.toolDescriptions = {};
+    this.toolOptions = {};
+    this.toolConcurrency = options.toolConcurrency ?? DEFAULT_TOOL_CONCURRENCY;
+    this.approvalHandler = options.approve || null;
+    this.mcp = options.mcp ?? false;
+    this.retry = options.retry || {};
+    this._acpSessions = new ACPSessionPool(options.acpSessions);
     this.toolCallLog = [];
     this.tools = {};
-    this.registry = new ServiceRegistry();
+    this.registry = new ServiceRegistry(options.routing);
     if (services) {
       for (const svc of services) this.registry.registerService(svc.cli || svc.name, svc);
     }
+    this.registry.on('circuit-open', (e) => this.emit('circuit-open', e));
+    this.registry.on('circuit-close', (e) => this.emit('circuit-close', e));
+    this.registry.on('budget-exceeded', (e) => this.emit('budget-exceeded', e));
+    this.registry.on('state-error', (e) => this.emit('state-error', e));
     this.fallback = new FallbackEngine([]);
     this.fallback.on('rate-limited', (e) => { this.registry.markRateLimited(e.name, e.profileId, e.cooldownMs); this.emit('rate-limited', e); });
     this.fallback.on('fallback', (e) => this.emit('fallback', e));
-    this.fallback.on('success', (e) => this.emit('success', e));
-    this._abortController = null;
+    this.fallback.on('retry', (e) => this.emit('retry', e));
+    this.fallback.on('success', (e) => { this.registry.recordSuccess(e.name, e.profileId, e.latencyMs); this.registry.recordUsage(e.name, e.profileId, e.usage); this.emit('success', e); });
+    this.fallback.on('failure', (e) => { this.registry.recordFailure(e.name, e.profileId, e); this.registry.recordUsage(e.name, e.profileId, e.usage); this.emit('failure', e); });
+    this.replayer = options.replay instanceof Replayer ? options.replay : options.replay ? new Replayer(options.replay) : null;
+    this.recorder = options.record instanceof Recorder ? options.record : options.record ? new Recorder(options.record) : null;
+    this._spawn = this.replayer ? (...args) => this.replayer.spawn(...args) : spawnService;
+    if (this.recorder) this._spawn = this.recorder.wrap(this._spawn);
+    this.workspaces = options.workspaces instanceof WorkspaceManager ? options.workspaces : new WorkspaceManager(options.workspaces);
+    this.jobs = new JobQueue({ concurrency: options.concurrency });
+    this.jobs.on('queued', (e) => this.emit('job-queued', e));
+    this.jobs.on('start', (e) => this.emit('job-start', e));
+    this.jobs.on('end', (e) => this.emit('job-end', e));
+    this.jobs.on('change', (e) => this.emit('queue', e));
+    this.cache = options.cache instanceof ResponseCache ? options.cache
+      : options.cache ? new ResponseCache(options.cache === true ? {} : options.cache) : null;
+    this.sessions = options.sessions instanceof SessionManager
+      ? options.sessions
+      : new SessionManager({ summarize: (messages, previous, { id } = {}) => this._summarize(messages, previous, id), ...options.sessions });
+    this.sessions.on('clear', ({ id }) => {
+      this._acpSessions.release(`session:${id}`);
+      this.workspaces.release(`session:${id}`);
+    });
   }
 
-  registerTool(name, description, inputSchema, handler) {
+  registerTool(name, description, inputSchema, handler, options = {}) {
     this.toolWhitelist.add(name);
     this.tools[name] = handler;
     this.toolSchemas[name] = inputSchema;
     this.toolDescriptions[name] = description;
+    this.toolOptions[name] = options;
     return { name, description, inputSchema };
   }
 
-  getToolsList() {
-    return Array.from(this.toolWhitelist).map(name => ({ name, description: this.toolDescriptions[name], inputSchema: this.toolSchemas[name] }));
+  setApprovalHandler(fn) { this.approvalHandler = fn; }
+
+  getToolsList(allowedTools) {
+    return Array.from(this.toolWhitelist)
+      .filter(name => toolAllowed(name, allowedTools))
+      .map(name => ({ name, description: this.toolDescriptions[name], inputSchema: this.toolSchemas[name] }));
   }
 
-  getToolsPrompt() {
-    const tools = this.getToolsList();
+  getToolsPrompt(allowedTools) {
+    const tools = this.getToolsList(allowedTools);
     if (tools.length === 0) return '';
     let prompt = '\n\nYou have access to the following tools. You MUST use these tools to interact:\n\n';
     for (const tool of tools) {
@@ -83,55 +195,359 @@ class ACPProtocol extends EventEmitter {
     return prompt;
   }
 
-  async callTool(toolName, params) {
+  async callTool(toolName, params, context = {}) {
     if (!this.toolWhitelist.has(toolName)) throw new Error(`Tool not available: ${toolName}`);
+    const policy = this.toolOptions[toolName] || {};
     const entry = { timestamp: new Date().toISOString(), toolName, params, status: 'executing' };
     this.toolCallLog.push(entry);
     if (!this.tools[toolName]) throw new Error(`Unknown tool: ${toolName}`);
-    const result = await this.tools[toolName](params);
-    entry.status = 'completed'; entry.result = result;
-    return result;
+    const errors = validate(this.toolSchemas[toolName], params ?? {});
+    if (errors.length) {
+      entry.status = 'invalid'; entry.errors = errors;
+      throw new ToolValidationError(toolName, errors);
+    }
+    if (policy.maxCallsPerTurn !== undefined && context.turnCalls) {
+      const count = (context.turnCalls.get(toolName) || 0) + 1;
+      context.turnCalls.set(toolName, count);
+      if (count > policy.maxCallsPerTurn) {
+        entry.status = 'limit-exceeded';
+        throw toolError(`${toolName} is limited to ${policy.maxCallsPerTurn} calls per turn`, TOOL_LIMIT_EXCEEDED);
+      }
+    }
+    if (policy.requiresApproval) {
+      const approve = context.approve || this.approvalHandler;
+      entry.status = 'awaiting-approval';
+      const approved = approve ? await Promise.resolve(approve({ tool: toolName, params, description: this.toolDescriptions[toolName] })).catch(() => false) : false;
+      if (!approved) {
+        entry.status = 'denied';
+        throw toolError(`${toolName} call was not approved`, TOOL_DENIED);
+      }
+      entry.status = 'executing';
+    }
+    const controller = new AbortController();
+    const timeoutMs = policy.timeout;
+    try {
+      const result = await withTimeout(() => this.tools[toolName](params, { signal: controller.signal }), timeoutMs, () => {
+        controller.abort();
+        entry.status = 'timeout';
+        return toolError(`${toolName} timed out after ${timeoutMs}ms`, TOOL_TIMEOUT);
+      });
+      entry.status = 'completed'; entry.result = result;
+      return result;
+    } catch (e) {
+      if (entry.status !== 'timeout') entry.status = 'failed';
+      entry.error = e.message;
+      throw e;
+    }
+  }
+
+  _buildPrompt(text, history = '', withTools = true, instruction = this.instruction, allowedTools) {
+    const context = history ? `${history}\n\n---\n\n` : '';
+    const tools = withTools ? this.getToolsPrompt(allowedTools) : '';
+    return instruction
+      ? `${instruction}${tools}\n\n---\n\n${context}${text}`
+      : `${tools}\n\n---\n\n${context}${text}`;
+  }
+
+  async _summarize(messages, previous, sessionId) {
+    const { rawOutput, parser } = await this._runStack(summaryPrompt(messages, previous), { sessionId, _summary: true });
+    return parseOutput(rawOutput, parser).text;
+  }
+
+  _cacheKey(prompt, useMCP, options) {
+    const services = options.services ? options.services.map(s => [s.cli || s.name, s.profile ?? null, s.model ?? null])
+      : options.cli ? [[options.cli, null, null]]
+      : this.registry.getAll().map(s => [s.name, s.profileId, s.config?.model ?? null]);
+    return this.cache.key({ prompt, mcp: useMCP, model: options.model ?? null, services });
+  }
+
+  async _cachedResult(key, hit, text, sessionId, options, started) {
+    const cached = hit.value;
+    const result = { ...cached, toolCalls: [], logs: this.toolCallLog, cache: { hit: true, key, ageMs: hit.ageMs } };
+    result.metrics = { ...cached.metrics, durationMs: Date.now() - started, attempts: 0, usage: null };
+    this.emit('cache-hit', { key, ageMs: hit.ageMs, hits: hit.hits, text: result.text });
+    this._emitStream({ type: 'text-delta', text: result.text, turn: 1, service: cached.metrics?.service ?? null, cached: true }, options);
+    return this._remember(result, text, sessionId);
   }
 
-  async process(text, options = {}) {
-    const fullPrompt = this.instruction
-      ? `${this.instruction}${this.getToolsPrompt()}\n\n---\n\n${text}`
-      : `${this.getToolsPrompt()}\n\n---\n\n${text}`;
+  async _remember(result, text, sessionId) {
+    if (sessionId != null) {
+      await this.sessions.append(sessionId, { role: 'user', content: text }, { role: 'assistant', content: result.text });
+      result.sessionId = sessionId;
+    }
+    return result;
+  }
 
-    let stack;
-    if (options.services) stack = createServiceStack(options.services);
-    else if (options.cli) stack = [{ name: options.cli, profileId: '__default__', config: { cli: options.cli } }];
-    else stack = this.registry.getAll().length > 0
+  _resolveStack(options) {
+    if (options.services || options.cli) {
+      const stack = options.services ? createServiceStack(options.services) : [{ name: options.cli, profileId: '__default__', config: { cli: options.cli } }];
+      return stack.filter(s => this.registry.isAvailable(s.name, s.profileId));
+    }
+    return this.registry.getAll().length > 0
       ? this.registry.getAvailable()
       : [{ name: 'claude', profileId: '__default__', config: { cli: 'claude' } }];
+  }
 
-    this._abortController = new AbortController();
-    const runOptions = { ...options, _abortSignal: this._abortController.signal };
-    const engine = new FallbackEngine(stack);
+  _emitStream(event, options) {
+    if (options._jobId) event = { ...event, jobId: options._jobId };
+    this.emit(event.type, event);
+    options.onEvent?.(event);
+  }
+
+  async _runStack(prompt, options, turn = 1) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (options.signal?.aborted) controller.abort();
+    else options.signal?.addEventListener('abort', onAbort, { once: true });
+    const runOptions = { ...options, _abortSignal: controller.signal };
+    const engine = new FallbackEngine(this._resolveStack(options), { ...this.retry, ...options.retry });
     engine.on('rate-limited', (e) => this.fallback.emit('rate-limited', e));
     engine.on('fallback', (e) => this.fallback.emit('fallback', e));
-    engine.on('success', (e) => this.fallback.emit('success', e));
+    engine.on('retry', (e) => this.fallback.emit('retry', e));
+    let parser = null, streamParser = null, streamed = false, service = null, attempts = 0, usage = [];
+    const emit = (events) => {
+      for (const ev of events) {
+        streamed = true;
+        if (ev.type === 'usage') usage.push(ev);
+        this._emitStream({ ...ev, turn, service }, options);
+      }
+    };
+    engine.on('success', (e) => { emit(streamParser.end()); this.fallback.emit('success', { ...e, usage: sumUsage(usage) }); });
+    engine.on('failure', (e) => this.fallback.emit('failure', { ...e, usage: sumUsage(usage) }));
+    const callbacks = {
+      onPermission: ({ toolCall }) => {
+        const approve = options.approve || this.approvalHandler;
+        return approve ? approve({ tool: toolCall?.title || toolCall?.toolCallId, params: toolCall?.rawInput ?? {}, description: toolCall?.kind }) : false;
+      },
+      onUpdate: (update) => this._emitStream({ type: 'session-update', update, turn, service }, options),
+      beginAttempt: (entry) => this.registry.beginAttempt(entry.name, entry.profileId),
+      onAttempt: (entry) => {
+        if (streamed) this._emitStream({ type: 'stream-reset', turn, from: service, to: { name: entry.name, profileId: entry.profileId } }, options);
+        parser = resolveParser(entry); streamParser = createStreamParser(parser); streamed = false; usage = []; attempts++;
+        service = { name: entry.name, profileId: entry.profileId };
+      },
+      onOutput: (chunk) => emit(streamParser.push(chunk)),
+    };
+    try {
+      const spawnFn = (entry, prompt, spawnOptions, ...rest) => {
+        spawnOptions = { ...spawnOptions, _sandbox: sandboxFor(entry, spawnOptions, this.workspaces) };
+        return entry.config?.transport === 'acp'
+          ? spawnACPService(entry, prompt, spawnOptions, ...rest, this._acpSessions)
+          : this._spawn(entry, prompt, spawnOptions, ...rest);
+      };
+      const result = await engine.run(spawnFn, prompt, runOptions, callbacks);
+      emit(streamParser.end());
+      return { ...result, parser, service, attempts };
+    } finally {
+      options.signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  async _executeCall(call, turn, budget, context, options) {
+    const toolName = call.method.replace('tools/', '');
+    if (!this.toolWhitelist.has(toolName))
+      return { response: formatToolError(call.id, -32601, `Tool not available: ${toolName}`) };
+    if (!toolAllowed(toolName, options.allowedTools))
+      return { response: formatToolError(call.id, TOOL_DENIED, `Tool not permitted: ${toolName}`) };
+    if (budget.remaining <= 0) {
+      budget.exhausted = true;
+      return { response: formatToolError(call.id, -32000, 'Tool call budget exhausted') };
+    }
+    budget.remaining--;
+    let outcome;
+    try {
+      const result = await this.callTool(toolName, call.params, context);
+      outcome = { result: { tool: toolName, id: call.id, turn, result }, response: formatToolResult(call.id, result) };
+    } catch (e) {
+      const failure = { tool: toolName, id: call.id, turn, error: e.message };
+      if (e.errors) failure.errors = e.errors;
+      outcome = { result: failure, response: formatToolError(call.id, e.code ?? -32000, e.message, e.errors) };
+    }
+    this._emitStream({ type: 'tool-result', ...outcome.result }, options);
+    return outcome;
+  }
+
+  _isParallel(call) { return !!this.toolOptions[call.method.replace('tools/', '')]?.parallel; }
+
+  async _executeCalls(calls, turn, budget, context, options = {}) {
+    const outcomes = [];
+    for (let i = 0; i < calls.length;) {
+      const parallel = this._isParallel(calls[i]);
+      let j = i + 1;
+      if (parallel) while (j < calls.length && this._isParallel(calls[j])) j++;
+      const batch = calls.slice(i, j);
+      outcomes.push(...await runPool(batch, parallel ? this.toolConcurrency : 1, (call) => this._executeCall(call, turn, budget, context, options)));
+      i = j;
+    }
+    return { results: outcomes.filter(o => o.result).map(o => o.result), responses: outcomes.map(o => o.response) };
+  }
+
+  _startMCP(state, budget, options) {
+    let seq = 0;
+    return startToolBridge({
+      list: () => this.getToolsList(options.allowedTools),
+      call: async (name, params) => {
+        const outcome = await this._executeCall({ id: `mcp-${++seq}`, method: `tools/${name}`, params }, state.turn, budget, state.context, options);
+        if (outcome.result) state.mcpResults.push(outcome.result);
+        if (!outcome.result || outcome.result.error) throw new Error(outcome.result?.error || JSON.parse(outcome.response).error.message);
+        return outcome.result.result;
+      },
+    });
+  }
+
+  process(text, options = {}) {
+    if (options.responseSchema) return this.processStructured(text, options.responseSchema, options);
+    return this._submit(text, options, (runOptions) => this._process(text, runOptions));
+  }
+
+  processStructured(text, schema, options = {}) {
+    return this._submit(text, options, (runOptions) => this._processStructured(text, schema, runOptions));
+  }
+
+  _submit(text, options, run) {
+    return this.jobs.submit(async (signal, jobId) => {
+      let expired = false;
+      const timer = options.maxRuntimeMs && setTimeout(() => { expired = true; this.jobs.stop(jobId); }, options.maxRuntimeMs);
+      try {
+        const result = await run({ ...options, signal, _jobId: jobId });
+        result.jobId = jobId;
+        return result;
+      } catch (err) {
+        if (expired) throw Object.assign(new Error(`Exceeded maxRuntimeMs of ${options.maxRuntimeMs}ms`), { timeout: true, cause: err });
+        throw err;
+      } finally {
+        clearTimeout(timer);
+        this._acpSessions.release(`job:${jobId}`);
+        await this.workspaces.release(`job:${jobId}`);
+      }
+    }, { priority: options.priority, signal: options.signal, label: text });
+  }
 
-    const { rawOutput } = await engine.run(spawnService, fullPrompt, runOptions);
-    this._abortController = null;
+  async _process(text, options = {}) {
+    const started = Date.now();
+    const maxTurns = options.maxTurns ?? DEFAULT_MAX_TURNS;
+    const budget = { remaining: options.maxToolCalls ?? Infinity, exhausted: false };
+    const sessionId = options.sessionId;
+    const rememberId = options._skipSession ? null : sessionId;
+    const history = sessionId != null ? await this.sessions.buildContext(sessionId) : '';
+    const instruction = options.instruction ?? this.instruction;
+    const basePrompt = this._buildPrompt(text, history, true, instruction, options.allowedTools);
+    const turns = [], toolCalls = [];
+    const state = { turn: 0, context: null, mcpResults: [] };
+    const useMCP = (options.mcp ?? this.mcp) && this.getToolsList(options.allowedTools).length > 0;
+    const cacheKey = this.cache && options.cache !== false ? this._cacheKey(basePrompt, useMCP, options) : null;
+    const hit = cacheKey && await this.cache.get(cacheKey);
+    if (hit) return this._cachedResult(cacheKey, hit, text, rememberId, options, started);
+    const bridge = useMCP ? await this._startMCP(state, budget, options) : null;
+    const mcpPrompt = bridge ? this._buildPrompt(text, history, false, instruction) : null;
+    let stopReason = 'complete';
 
     try {
-      const toolCalls = parseToolCalls(rawOutput);
-      const results = [];
-      for (const call of toolCalls) {
-        const toolName = call.method.replace('tools/', '');
-        if (this.toolWhitelist.has(toolName)) {
-          const result = await this.callTool(toolName, call.params);
-          results.push({ tool: toolName, result });
+      for (let n = 1; ; n++) {
+        Object.assign(state, { turn: n, context: { approve: options.approve, turnCalls: new Map() }, mcpResults: [] });
+        const transcript = turns.length ? formatTranscript(turns) : '';
+        const prompt = bridge
+          ? (entry) => supportsMCP(entry) ? `${mcpPrompt}${transcript}` : `${basePrompt}${transcript}`
+          : `${basePrompt}${transcript}`;
+        const runOptions = { ...options, _acpPrompt: turns.length ? formatToolResults(turns[turns.length - 1]) : text, ...(bridge && { _mcpServer: bridge.server }) };
+        const turnStarted = Date.now();
+        const { rawOutput, parser, service, attempts } = await this._runStack(prompt, runOptions, n);
+        const durationMs = Date.now() - turnStarted;
+        const { text: turnText, toolCalls: calls, events, usage } = parseOutput(rawOutput, parser);
+        const { results, responses } = await this._executeCalls(calls, n, budget, state.context, options);
+        const turn = { turn: n, text: turnText, rawOutput, calls, toolCalls: [...state.mcpResults, ...results], responses, events, service, attempts, durationMs };
+        if (usage) turn.usage = usage;
+        turns.push(turn);
+        toolCalls.push(...turn.toolCalls);
+        this.emit('turn', turn);
+        if (calls.length === 0) break;
+        if (budget.exhausted) { stopReason = 'max-tool-calls'; break; }
+        if (n >= maxTurns) { stopReason = 'max-turns'; break; }
+      }
+    } finally { await bridge?.close(); }
+
+    const last = turns[turns.length - 1];
+    const failed = toolCalls.filter(c => c.error);
+    const result = { text: last.text, rawOutput: last.rawOutput, toolCalls, logs: this.toolCallLog, turns, stopReason };
+    if (failed.length) result.error = failed[failed.length - 1].error;
+    const usages = turns.filter(t => t.usage);
+    if (usages.length) result.usage = sumUsage(usages.map(t => t.usage));
+    result.metrics = {
+      durationMs: Date.now() - started,
+      attempts: turns.reduce((sum, t) => sum + t.attempts, 0),
+      turns: turns.length,
+      toolCalls: toolCalls.length,
+      service: last.service,
+      services: [...new Map(turns.map(t => [`${t.service.name}::${t.service.profileId}`, t.service])).values()],
+      usage: result.usage ?? null,
+    };
+    if (cacheKey) {
+      const cacheable = stopReason === 'complete' && !toolCalls.length && turns.every(t => !t.calls.length) && last.text;
+      if (cacheable) await this.cache.set(cacheKey, { text: result.text, rawOutput: result.rawOutput, turns, stopReason, metrics: result.metrics });
+      result.cache = { hit: false, key: cacheKey, stored: !!cacheable };
+    }
+    return this._remember(result, text, rememberId);
+  }
+
+  async _processStructured(text, schema, options = {}) {
+    const { responseSchema, maxRetries = DEFAULT_STRUCTURED_RETRIES, ...runOptions } = options;
+    let prompt = schemaPrompt(text, schema), result, errors;
+    for (let attempt = 1; ; attempt++) {
+      result = await this._process(prompt, { ...runOptions, _skipSession: true });
+      const output = result.text || result.rawOutput;
+      const found = extractJSON(output);
+      errors = found ? validate(schema, found.value) : [{ path: '$', keyword: 'json', message: 'no JSON value found in the reply' }];
+      if (!errors.length) {
+        result.data = found.value;
+        result.retries = attempt - 1;
+        if (runOptions.sessionId != null) {
+          await this.sessions.append(runOptions.sessionId, { role: 'user', content: text }, { role: 'assistant', content: JSON.stringify(found.value) });
+          result.sessionId = runOptions.sessionId;
         }
+        return result;
       }
-      return { text: parseTextOutput(rawOutput), rawOutput, toolCalls: results, logs: this.toolCallLog };
-    } catch (e) {
-      return { text: parseTextOutput(rawOutput), rawOutput, error: e.message, logs: this.toolCallLog };
+      if (result.cache?.stored || result.cache?.hit) await this.cache.delete(result.cache.key);
+      if (attempt > maxRetries) break;
+      this.emit('structured-retry', { attempt, errors, output });
+      prompt = repairPrompt(text, schema, output, errors);
     }
+    throw new StructuredOutputError(`Reply did not match the response schema after ${maxRetries + 1} attempts: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`,
+      { attempts: maxRetries + 1, errors, output: result.text || result.rawOutput, result });
+  }
+
+  async *stream(text, options = {}) {
+    const queue = [];
+    let wake = null, done = false, failure = null;
+    const push = (event) => { queue.push(event); wake?.(); };
+    const job = this.process(text, { ...options, onEvent: push });
+    job.then((result) => push({ type: 'done', result }), (e) => { failure = e; })
+      .finally(() => { done = true; wake?.(); });
+    try {
+      while (true) {
+        if (queue.length) {
+          const event = queue.shift();
+          yield event;
+          if (event.type === 'done') return;
+        } else if (done) {
+          if (failure) throw failure;
+          return;
+        } else {
+          await new Promise((r) => { wake = r; });
+          wake = null;
+        }
+      }
+    } finally { if (!done) job.stop(); }
   }
 
-  stop() { if (this._abortController) { this._abortController.abort(); this._abortController = null; } }
+  stop(jobId) { return jobId === undefined ? this.stopAll() : this.jobs.stop(jobId); }
+
+  stopAll() { this.jobs.stopAll(); }
+
+  close() {
+    this.stopAll();
+    this._acpSessions.closeAll();
+    this.workspaces.releaseAll();
+  }
 }
 
 export { ACPProtocol };
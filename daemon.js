@@ -0,0 +1,126 @@
+import { EventEmitter } from 'events';
+import { createAdapter, createChatApproval, shouldRespond } from './adapters.js';
+import { AccessControl } from './access.js';
+
+function routeFor(entry, channelId, defaults = {}) {
+  const options = { ...defaults };
+  for (const layer of [entry, entry.channels?.[String(channelId)]]) {
+    if (!layer) continue;
+    if (layer.services) { options.services = layer.services; delete options.cli; }
+    else if (layer.agent) { options.cli = layer.agent; delete options.services; }
+    if (layer.instruction !== undefined) options.instruction = layer.instruction;
+    if (layer.model) options.model = layer.model;
+    if (layer.maxTurns) options.maxTurns = layer.maxTurns;
+  }
+  return options;
+}
+
+function promptFor(msg) {
+  if (!msg.attachments?.length) return msg.content;
+  const files = msg.attachments.map(a => `- ${a.name || a.type || 'file'}${a.contentType ? ` (${a.contentType}${a.size ? `, ${a.size} bytes` : ''})` : ''}${a.url ? ` ${a.url}` : ''}`);
+  return `${msg.content || ''}\n\nAttachments:\n${files.join('\n')}`;
+}
+
+function createDaemon(acp, entries = [], options = {}) {
+  const daemon = new EventEmitter();
+  const controller = new AbortController();
+  const queues = new Map();
+  const started = [];
+  const run = options.process || ((text, runOptions) => acp.process(text, runOptions));
+  const access = options.access instanceof AccessControl ? options.access : options.access ? new AccessControl(options.access) : null;
+  let stopping = null;
+  access?.on('rejected', (entry) => daemon.emit('rejected', entry));
+  daemon.access = access;
+
+  function enqueue(key, task) {
+    const next = (queues.get(key) || Promise.resolve()).then(task);
+    queues.set(key, next);
+    next.finally(() => { if (queues.get(key) === next) queues.delete(key); });
+    return next;
+  }
+
+  async function refuse(adapter, msg, decision) {
+    const replyOptions = { replyTo: msg.id, threadId: msg.threadId };
+    const status = decision.reason === 'rate-limited' ? 429 : 403;
+    if (adapter.fail) await adapter.fail(msg.channelId, Object.assign(new Error(decision.reply || decision.reason), { status }), replyOptions);
+    else if (decision.reply) await adapter.send(msg.channelId, decision.reply, replyOptions);
+  }
+
+  function toolPermitted(msg, adapter, tool) {
+    const tools = access?.roleFor(msg, adapter)?.tools;
+    return tools === undefined || tools === '*' || tools.includes(tool);
+  }
+
+  async function handle(entry, adapter, approval, msg, key, role) {
+    const name = entry.name || entry.type;
+    if (controller.signal.aborted) return;
+    const route = routeFor(entry, msg.channelId, options.defaults);
+    const replyOptions = { replyTo: msg.id, threadId: msg.threadId };
+    daemon.emit('message', { adapter: name, msg, route });
+    const stopTyping = adapter.typing?.(msg.channelId, replyOptions);
+    try {
+      const result = await run(promptFor(msg), {
+        ...route,
+        ...(role?.tools !== undefined && { allowedTools: role.tools }),
+        sessionId: key,
+        ...(approval && {
+          approve: approval.request(msg.channelId, { threadId: msg.threadId }, {
+            authorId: msg.authorId,
+            author: msg.author,
+            canApprove: (reply, tool) => toolPermitted(reply, name, tool),
+          }),
+        }),
+        signal: controller.signal,
+      });
+      stopTyping?.();
+      const text = result.text || result.rawOutput;
+      if (text || adapter.fail) await adapter.send(msg.channelId, text || '', replyOptions);
+      daemon.emit('reply', { adapter: name, channelId: msg.channelId, threadId: msg.threadId, result });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      await adapter.fail?.(msg.channelId, error, replyOptions)?.catch(() => {});
+      daemon.emit('failure', { adapter: name, channelId: msg.channelId, threadId: msg.threadId, error });
+    } finally { stopTyping?.(); }
+  }
+
+  daemon.start = async () => {
+    for (const entry of entries) {
+      const { type, name = type, adapter: instance, ...config } = entry;
+      const adapter = instance || await createAdapter(type, config);
+      const approval = adapter.fail ? null : createChatApproval(adapter, { timeoutMs: options.approvalTimeoutMs });
+      adapter.onMessage((msg) => {
+        if (stopping) return;
+        const auth = access ? access.authorize(msg, name) : { allowed: true };
+        if (!auth.allowed) return void refuse(adapter, msg, auth).catch(() => {});
+        if (approval?.handle(msg) || !shouldRespond(msg, entry)) return;
+        const quota = access ? access.consume(msg, name, auth.role) : { allowed: true };
+        if (!quota.allowed) return void refuse(adapter, msg, quota).catch(() => {});
+        const key = msg.threadId != null ? `${name}:${msg.channelId}:${msg.threadId}` : `${name}:${msg.channelId}`;
+        enqueue(key, () => handle(entry, adapter, approval, msg, key, auth.role));
+      });
+      adapter.onEnd?.(() => daemon.emit('input-end', { adapter: name }));
+      await adapter.start();
+      started.push(adapter);
+      daemon.emit('started', { adapter: name });
+    }
+    return daemon;
+  };
+
+  daemon.stop = () => {
+    stopping ??= (async () => {
+      await Promise.allSettled(started.map(a => a.stop()));
+      controller.abort();
+      await Promise.allSettled([...queues.values()]);
+      acp.close();
+      await Promise.allSettled([acp.registry.flush(), access?.flush()]);
+      daemon.emit('stopped');
+    })();
+    return stopping;
+  };
+
+  daemon.pending = () => queues.size;
+  daemon.idle = async () => { while (queues.size) await Promise.allSettled([...queues.values()]); };
+  return daemon;
+}
+
+export { createDaemon, routeFor, promptFor };
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+import { readFileSync } from 'fs';
+
+const FORMATS = ['text', 'claude', 'opencode', 'codex', 'gemini'];
+const PROMPT_FLAGS = ['--message', '--text'];
+
+const args = process.argv.slice(2);
+const flag = (name) => { const i = args.indexOf(name); return i >= 0 ? args[i + 1] : undefined; };
+const prompt = readPrompt();
+
+function readPrompt() {
+  const file = flag('--message-file') ?? flag('--instructions');
+  if (file && file !== '-') return readFileSync(file, 'utf8');
+  if (file || !process.stdin.isTTY) {
+    const piped = readFileSync(0, 'utf8');
+    if (piped || file) return piped;
+  }
+  const at = args.findIndex(a => PROMPT_FLAGS.includes(a));
+  return at >= 0 ? args[at + 1] ?? '' : args[args.length - 1] ?? '';
+}
+
+function loadSteps() {
+  const inline = flag('--step');
+  const file = flag('--script') || process.env.ACPREACT_FAKE_SCRIPT;
+  const script = inline ? JSON.parse(inline) : file ? JSON.parse(readFileSync(file, 'utf8')) : { echo: true };
+  return Array.isArray(script) ? script : script.steps || [script];
+}
+
+function toolCallLine(call, i) {
+  return JSON.stringify({ jsonrpc: '2.0', id: call.id ?? i + 1, method: `tools/${call.name}`, params: call.params || {} });
+}
+
+function render(step, text) {
+  const u = step.usage;
+  switch (step.format || 'text') {
+    case 'text': return text ? text.split('\n') : [];
+    case 'claude': return [
+      { type: 'system', subtype: 'init', session_id: 'fake' },
+      { type: 'assistant', message: { content: [{ type: 'text', text }] } },
+      { type: 'result', subtype: 'success', result: text, ...(u && { usage: { input_tokens: u.inputTokens, output_tokens: u.outputTokens }, total_cost_usd: u.costUsd }) },
+    ].map(e => JSON.stringify(e));
+    case 'opencode': return [
+      { type: 'text', part: { text } },
+      ...(u ? [{ type: 'step_finish', part: { tokens: { input: u.inputTokens, output: u.outputTokens }, cost: u.costUsd } }] : []),
+    ].map(e => JSON.stringify(e));
+    case 'codex': return [
+      { type: 'item.completed', item: { type: 'agent_message', text } },
+      ...(u ? [{ type: 'turn.completed', usage: { input_tokens: u.inputTokens, output_tokens: u.outputTokens } }] : []),
+    ].map(e => JSON.stringify(e));
+    case 'gemini': return [JSON.stringify({ response: text, ...(u && { stats: { models: { fake: { tokens: { prompt: u.inputTokens, candidates: u.outputTokens } } } } }) })];
+    default: throw new Error(`Unknown format: ${step.format}. Available: ${FORMATS.join(', ')}`);
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function run(step) {
+  if (step.delayMs) await sleep(step.delayMs);
+  if (step.stderr) process.stderr.write(`${step.stderr}\n`);
+  if (step.rateLimit) {
+    const retry = typeof step.rateLimit === 'number' ? ` Retry after ${step.rateLimit} seconds.` : '';
+    process.stderr.write(`Error: 429 Too Many Requests - rate limit exceeded.${retry}\n`);
+    process.exit(step.exitCode ?? 1);
+  }
+  const reply = step.echo ? prompt : step.reply ?? '';
+  const text = [reply, ...(step.toolCalls || []).map(toolCallLine)].filter(Boolean).join('\n');
+  for (const line of render(step, text)) {
+    process.stdout.write(`${line}\n`);
+    if (step.chunkDelayMs) await sleep(step.chunkDelayMs);
+  }
+  if (step.hang) setInterval(() => {}, 60_000);
+  else process.exitCode = step.exitCode ?? 0;
+}
+
+try {
+  const step = loadSteps().find(s => !s.match || new RegExp(s.match, s.flags).test(prompt));
+  if (!step) { process.stderr.write('fake-agent: no step matches the prompt\n'); process.exit(2); }
+  await run(step);
+} catch (e) {
+  process.stderr.write(`fake-agent: ${e.message}\n`);
+  process.exit(2);
+}
@@ -1,13 +1,83 @@
 import { EventEmitter } from 'events';
-import { isRateLimited, DEFAULT_COOLDOWN_MS } from './services.js';
+import { isRateLimited, classifyFailure, mergeRules, DEFAULT_COOLDOWN_MS } from './services.js';
+import { createEventParser, parseOutput, resolveParser } from './parser.js';
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BASE_DELAY_MS = 1_000;
+const DEFAULT_MAX_DELAY_MS = 30_000;
+
+function backoffDelay(retry, baseDelayMs, maxDelayMs) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** retry);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error('Aborted'));
+    const onAbort = () => { clearTimeout(timer); reject(new Error('Aborted')); };
+    const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function agentErrors(output, parser) {
+  return parseOutput(output, parser).events.filter(e => e.type === 'error').map(e => e.message).join('\n');
+}
+
+function exitError(name, result) {
+  return Object.assign(new Error(`${name} exited with code ${result.code}: ${result.stderr ?? ''}`), { exitCode: result.code, output: result.rawOutput, stderr: result.stderr });
+}
 
 class FallbackEngine extends EventEmitter {
-  constructor(serviceStack = []) {
+  constructor(serviceStack = [], options = {}) {
     super();
     this._stack = serviceStack;
+    this.retries = options.retries ?? DEFAULT_RETRIES;
+    this.baseDelayMs = options.baseDelayMs ?? DEFAULT_BASE_DELAY_MS;
+    this.maxDelayMs = options.maxDelayMs ?? DEFAULT_MAX_DELAY_MS;
+    this.fallthroughOnTimeout = options.fallthroughOnTimeout ?? true;
+    this.fallthroughOnExit = options.fallthroughOnExit ?? false;
+    this.fallthroughOnAuth = options.fallthroughOnAuth ?? true;
+    this.rules = options.rules || {};
+  }
+
+  async _attempt(spawnFn, entry, text, options, callbacks, rules) {
+    const { name } = entry;
+    let output = '', stderr = '';
+    const outerSignal = options._abortSignal;
+    const attempt = new AbortController();
+    const onOuterAbort = () => attempt.abort();
+    if (outerSignal?.aborted) attempt.abort(); else outerSignal?.addEventListener('abort', onOuterAbort, { once: true });
+    const parser = resolveParser(entry);
+    const events = createEventParser(parser);
+    let streamedErrors = '';
+    const scan = (chunk) => { for (const e of events.push(chunk)) if (e.type === 'error') streamedErrors += `${e.message}\n`; };
+    const watch = () => { if (!attempt.signal.aborted && isRateLimited(name, streamedErrors, stderr, rules.rateLimited).rateLimited) attempt.abort(); };
+
+    const started = Date.now();
+    try {
+      const result = await spawnFn(entry, text, { ...options, _abortSignal: attempt.signal }, {
+        ...callbacks,
+        onOutput: (chunk) => { output += chunk; scan(chunk); callbacks.onOutput?.(chunk, entry); watch(); },
+        onStderr: (chunk) => { stderr += chunk; callbacks.onStderr?.(chunk, entry); watch(); },
+      });
+      return { result, output, errors: agentErrors(result?.rawOutput ?? output, parser), stderr, latencyMs: Date.now() - started };
+    } catch (err) {
+      output = err.output || output;
+      return { error: err, output, errors: agentErrors(output, parser), stderr: err.stderr || stderr, latencyMs: Date.now() - started };
+    } finally {
+      outerSignal?.removeEventListener('abort', onOuterAbort);
+    }
+  }
+
+  _fallsThrough(kind, error) {
+    if (kind === 'transient') return true;
+    if (kind === 'timeout') return this.fallthroughOnTimeout;
+    if (kind === 'auth') return this.fallthroughOnAuth;
+    return this.fallthroughOnExit && error?.exitCode != null;
   }
 
-  async run(spawnFn, text, options = {}) {
+  async run(spawnFn, text, options = {}, callbacks = {}) {
     if (this._stack.length === 0) {
       throw new Error('FallbackEngine: service stack is empty');
     }
@@ -15,49 +85,61 @@ class FallbackEngine extends EventEmitter {
     const errors = [];
     let attempted = 0;
 
-    for (const entry of this._stack) {
+    for (const [index, entry] of this._stack.entries()) {
       const { name, profileId } = entry;
+      const rules = mergeRules(this.rules, entry.config?.failureRules);
+      if (callbacks.beginAttempt?.(entry) === false) {
+        errors.push({ name, profileId, kind: 'unavailable' });
+        continue;
+      }
       attempted++;
 
-      let result;
-      let spawnError;
-      let output = '';
-      let stderr = '';
-
-      try {
-        result = await spawnFn(entry, text, options, {
-          onOutput: (chunk) => { output += chunk; },
-          onStderr: (chunk) => { stderr += chunk; },
-        });
-      } catch (err) {
-        spawnError = err;
-        output = err.output || '';
-        stderr = err.stderr || '';
-      }
+      for (let retry = 0; ; retry++) {
+        callbacks.onAttempt?.(entry, attempted, retry);
+        const attempt = await this._attempt(spawnFn, entry, text, options, callbacks, rules);
+        const { result, output, errors: agentError, stderr, latencyMs } = attempt;
+        if (options._abortSignal?.aborted) throw attempt.error || new Error('Aborted');
+        const error = attempt.error || (this.fallthroughOnExit && result?.code ? exitError(name, result) : undefined);
 
-      const rlCheck = isRateLimited(name, output, stderr);
-      const isMissing = spawnError?.code === 'ENOENT';
+        const rlCheck = isRateLimited(name, agentError, stderr, rules.rateLimited);
+        if (!error && !rlCheck.rateLimited) {
+          this.emit('success', { name, profileId, attempted, retries: retry, latencyMs });
+          return result;
+        }
 
-      if (!spawnError && !rlCheck.rateLimited) {
-        this.emit('success', { name, profileId, attempted });
-        return result;
-      }
+        const { kind, retryAfterMs } = rlCheck.rateLimited
+          ? { kind: 'rate-limited', retryAfterMs: rlCheck.retryAfterMs }
+          : classifyFailure(name, { output, stderr, error, agentError }, rules);
 
-      if (rlCheck.rateLimited || isMissing) {
-        const cooldownMs = rlCheck.retryAfterMs ?? DEFAULT_COOLDOWN_MS;
-        this.emit('rate-limited', { name, profileId, cooldownMs, error: spawnError?.message });
-        errors.push({ name, profileId, rateLimited: true, retryAfterMs: cooldownMs, error: spawnError?.message });
-        const remaining = this._stack.slice(attempted);
-        if (remaining.length > 0) this.emit('fallback', { from: { name, profileId }, to: remaining[0] });
-        continue;
+        if (kind === 'rate-limited' || error?.code === 'ENOENT') {
+          const cooldownMs = retryAfterMs ?? DEFAULT_COOLDOWN_MS;
+          this.emit('rate-limited', { name, profileId, cooldownMs, latencyMs, error: error?.message });
+          errors.push({ name, profileId, kind: 'rate-limited', rateLimited: true, retryAfterMs: cooldownMs, error: error?.message });
+          break;
+        }
+
+        if (kind === 'transient' && retry < this.retries) {
+          const delayMs = backoffDelay(retry, this.baseDelayMs, this.maxDelayMs);
+          this.emit('retry', { name, profileId, retry: retry + 1, delayMs, kind, error: error?.message });
+          await sleep(delayMs, options._abortSignal);
+          continue;
+        }
+
+        const failure = error || new Error(`Service ${name} failed: ${output}${stderr}`);
+        failure.kind = kind;
+        this.emit('failure', { name, profileId, attempted, retries: retry, latencyMs, kind, error: failure.message });
+        if (!this._fallsThrough(kind, error)) throw failure;
+        errors.push({ name, profileId, kind, error: failure.message });
+        break;
       }
 
-      throw spawnError || new Error(`Service ${name} failed: ${output}${stderr}`);
+      const remaining = this._stack.slice(index + 1);
+      if (remaining.length > 0) this.emit('fallback', { from: { name, profileId }, to: remaining[0], kind: errors[errors.length - 1].kind });
     }
 
-    const summary = errors.map(e => `${e.name}(${e.profileId}): rate-limited`).join(', ');
+    const summary = errors.map(e => `${e.name}(${e.profileId}): ${e.kind}`).join(', ');
     throw new AggregateError(
-      errors.map(e => Object.assign(new Error(`${e.name} rate-limited`), e)),
+      errors.map(e => Object.assign(new Error(`${e.name} ${e.kind}`), e)),
       `All services exhausted: ${summary}`
     );
   }
@@ -0,0 +1,11 @@
+import { writeFile, rename, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+async function writeFileAtomic(path, data) {
+  await mkdir(dirname(path), { recursive: true });
+  const tmp = `${path}.${process.pid}.tmp`;
+  await writeFile(tmp, data);
+  await rename(tmp, path);
+}
+
+export { writeFileAtomic };
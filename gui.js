@@ -1,78 +1,375 @@
-import { createInterface } from 'readline';
-
 const C = { reset: '\x1b[0m', bold: '\x1b[1m', dim: '\x1b[2m', green: '\x1b[32m', cyan: '\x1b[36m', yellow: '\x1b[33m', red: '\x1b[31m', blue: '\x1b[34m' };
 const ESC = (s) => `\x1b[${s}`;
 const CLEAR = '\x1b[2J\x1b[H';
-const MAX_LOG = 20;
+const ALT_SCREEN = ['\x1b[?1049h', '\x1b[?1049l'];
+const BRACKETED_PASTE = ['\x1b[?2004h', '\x1b[?2004l'];
+const PASTE_START = '\x1b[200~';
+const PASTE_END = '\x1b[201~';
+const KEY_PATTERN = /\x1b\[200~[\s\S]*?(\x1b\[201~|$)|\x1b(\[[0-9;]*[A-Za-z~]|O[A-Za-z]|[\s\S])?|[\s\S]/g;
+const MAX_SCROLLBACK = 1000;
+const MAX_HISTORY = 100;
+const MAX_INPUT_ROWS = 5;
+const PANE_WIDTH = 30;
+const PANE_MIN_COLS = 90;
+const TICK_MS = 100;
+const SERVICES_REFRESH_TICKS = 10;
+const SPINNER = '⠋⠙⠹⠸⠼⠴⠦⠧⠇⠏';
+const TYPE_COLORS = { in: C.yellow, error: C.red, info: C.dim, out: C.green };
+
+const calls = (n) => `${n} call${n === 1 ? '' : 's'}`;
+
+function fit(text, width) {
+  if (width <= 0) return '';
+  return text.length > width ? `${text.slice(0, width - 1)}…` : text;
+}
+
+function pad(text, width) { return fit(text, width).padEnd(width); }
+
+function wrap(text, width) {
+  if (width <= 0) return [];
+  const out = [];
+  for (let i = 0; i < text.length; i += width) out.push(text.slice(i, i + width));
+  return out.length ? out : [''];
+}
+
+function clean(text) { return String(text).replace(/\t/g, '  ').replace(/[\x00-\x08\x0b-\x1f\x7f]|\x1b\[[0-9;?]*[A-Za-z]/g, ''); }
+
+function seconds(ms) {
+  const s = Math.max(0, Math.round(ms / 1000));
+  return s < 60 ? `${s}s` : `${Math.floor(s / 60)}m${String(s % 60).padStart(2, '0')}s`;
+}
+
+function serviceStatus(service, now) {
+  if (service.budget) return [C.red, 'budget'];
+  if (service.circuit === 'open') return [C.red, 'circuit open'];
+  if (service.cooldownUntil && service.cooldownUntil > now) return [C.yellow, `cooldown ${seconds(service.cooldownUntil - now)}`];
+  if (service.circuit === 'half-open') return [C.yellow, 'half-open'];
+  return [C.green, service.p50 != null ? `p50 ${(service.p50 / 1000).toFixed(1)}s` : 'ready'];
+}
 
 function createGUI(options = {}) {
-  const state = { agent: options.agent || 'claude', adapters: [], log: [], input: '', version: options.version || '1.2.0' };
-  let inputHandler = null;
+  const state = {
+    agent: options.agent || 'claude',
+    adapters: [],
+    log: [],
+    input: '',
+    cursor: 0,
+    history: [],
+    historyIndex: 0,
+    draft: '',
+    scroll: 0,
+    version: options.version || '1.2.0',
+    confirms: [],
+    jobs: new Map(),
+    queued: 0,
+    services: [],
+    tick: 0,
+  };
+  let inputHandler = null, acp = options.acp || null, frame = [], scheduled = false, ticker = null, started = false, paste = null;
 
-  function render() {
-    if (!process.stdout.isTTY) return;
-    const cols = process.stdout.columns || 80;
-    const line = C.dim + '─'.repeat(cols) + C.reset;
-    const rows = process.stdout.rows || 24;
-    const logRows = Math.max(4, rows - 7);
-    let out = CLEAR;
-    out += `${C.bold}${C.cyan} acpreact${C.reset} ${C.dim}v${state.version}${C.reset}  `;
-    out += `${C.bold}agent:${C.reset} ${C.green}${state.agent}${C.reset}  `;
-    out += `${C.bold}adapters:${C.reset} ${state.adapters.length ? C.blue + state.adapters.join(' ') + C.reset : C.dim + 'none' + C.reset}\n`;
-    out += line + '\n';
-    const logSlice = state.log.slice(-logRows);
-    for (const entry of logSlice) {
-      const col = entry.type === 'in' ? C.yellow : entry.type === 'error' ? C.red : C.green;
-      out += `${col}${entry.text}${C.reset}\n`;
+  function refreshServices() {
+    if (!acp) return;
+    const saved = acp.registry.getState().services;
+    state.services = acp.registry.getAllStats().map(s => ({ ...s, cooldownUntil: saved[`${s.name}::${s.profileId}`]?.cooldownUntil ?? null }));
+  }
+
+  function logLines(width) {
+    const lines = [];
+    for (const entry of state.log) for (const text of wrap(entry.text, width)) lines.push({ text, type: entry.type });
+    return lines;
+  }
+
+  function paneLines(width, rows) {
+    const now = Date.now();
+    const lines = [`${C.bold}Services${C.reset}`];
+    for (const s of state.services) {
+      const [color, status] = serviceStatus(s, now);
+      const name = s.profileId === '__default__' ? s.name : `${s.name}/${s.profileId}`;
+      lines.push(`${color}●${C.reset} ${fit(`${name} ${status}`, width - 2)}`);
+      if (s.usage?.calls) lines.push(`${C.dim}  ${fit(`${calls(s.usage.calls)} today${s.usage.costUsd ? ` $${s.usage.costUsd.toFixed(2)}` : ''}`, width - 2)}${C.reset}`);
+    }
+    return lines.slice(0, rows);
+  }
+
+  function statusLine(cols) {
+    const jobs = [...state.jobs.values()];
+    const scroll = state.scroll ? `  ↑ ${state.scroll} more (PgDn)` : '';
+    const queued = state.queued ? `  ${state.queued} queued` : '';
+    if (!jobs.length) return `${C.dim}${fit(`idle${queued}${scroll}`, cols)}${C.reset}`;
+    const now = Date.now();
+    const running = jobs.map(j => `${j.id} ${seconds(now - j.startedAt)}`).join('  ');
+    return `${C.cyan}${fit(`${SPINNER[state.tick % SPINNER.length]} ${running}${queued}${scroll}`, cols)}${C.reset}`;
+  }
+
+  function inputView(cols) {
+    if (state.confirms.length) {
+      const text = `? ${state.confirms[0].question} [y/n] `;
+      return { lines: [`${C.bold}${C.yellow}${fit(text, cols)}${C.reset}`], row: 0, col: Math.min(text.length, cols - 1) };
+    }
+    const lines = state.input.split('\n');
+    const before = state.input.slice(0, state.cursor).split('\n');
+    const cursorLine = before.length - 1, cursorCol = before[cursorLine].length;
+    const first = Math.max(0, Math.min(cursorLine - MAX_INPUT_ROWS + 1, lines.length - MAX_INPUT_ROWS));
+    const width = cols - 2;
+    const view = lines.slice(first, first + MAX_INPUT_ROWS).map((line, i) => {
+      const prefix = first + i === 0 ? `${C.bold}>${C.reset} ` : `${C.dim}…${C.reset} `;
+      const offset = first + i === cursorLine ? Math.max(0, cursorCol - width + 1) : 0;
+      return prefix + line.slice(offset, offset + width);
+    });
+    return { lines: view, row: cursorLine - first, col: 2 + Math.min(cursorCol, width - 1) };
+  }
+
+  function compose() {
+    const cols = process.stdout.columns || 80, rows = process.stdout.rows || 24;
+    const input = inputView(cols);
+    const mainRows = Math.max(3, rows - 4 - input.lines.length);
+    const paneWidth = state.services.length && cols >= PANE_MIN_COLS ? PANE_WIDTH : 0;
+    const logWidth = paneWidth ? cols - paneWidth - 2 : cols;
+    const lines = logLines(logWidth);
+    state.scroll = Math.min(state.scroll, Math.max(0, lines.length - mainRows));
+    const end = lines.length - state.scroll;
+    const visible = lines.slice(Math.max(0, end - mainRows), end);
+    const pane = paneWidth ? paneLines(paneWidth, mainRows) : [];
+    const rule = C.dim + '─'.repeat(cols) + C.reset;
+
+    const adapters = state.adapters.length ? C.blue + state.adapters.join(' ') + C.reset : `${C.dim}none${C.reset}`;
+    const out = [`${C.bold}${C.cyan} acpreact${C.reset} ${C.dim}v${state.version}${C.reset}  ${C.bold}agent:${C.reset} ${C.green}${state.agent}${C.reset}  ${C.bold}adapters:${C.reset} ${adapters}`, rule];
+    for (let i = 0; i < mainRows; i++) {
+      const line = visible[i];
+      const text = line ? `${TYPE_COLORS[line.type] || C.green}${paneWidth ? pad(line.text, logWidth) : line.text}${C.reset}` : ' '.repeat(paneWidth ? logWidth : 0);
+      out.push(paneWidth ? `${text} ${C.dim}│${C.reset}${pane[i] ?? ''}` : text);
     }
-    for (let i = logSlice.length; i < logRows; i++) out += '\n';
-    out += line + '\n';
-    out += `${C.bold}>${C.reset} ${state.input}${ESC('?25h')}`;
-    process.stdout.write(out);
+    out.push(statusLine(cols), rule, ...input.lines);
+    return { out, cursor: [rows - input.lines.length + input.row + 1, input.col + 1] };
+  }
+
+  function draw(full = false) {
+    scheduled = false;
+    if (!started || !process.stdout.isTTY) return;
+    const { out, cursor } = compose();
+    let buf = ESC('?25l') + (full ? CLEAR : '');
+    out.forEach((line, i) => { if (full || line !== frame[i]) buf += `${ESC(`${i + 1};1H`)}${line}${ESC('K')}`; });
+    for (let i = out.length; i < frame.length; i++) buf += `${ESC(`${i + 1};1H`)}${ESC('K')}`;
+    frame = out;
+    process.stdout.write(`${buf}${ESC(`${cursor[0]};${cursor[1]}H`)}${ESC('?25h')}`);
+  }
+
+  function render() {
+    if (scheduled) return;
+    scheduled = true;
+    setImmediate(draw);
   }
 
   function log(text, type = 'out') {
     const t = new Date().toTimeString().slice(0, 5);
-    const lines = String(text).split('\n').filter(Boolean);
-    for (const line of lines) state.log.push({ text: `[${t}] ${line}`, type });
+    const lines = clean(text).split('\n').filter(Boolean);
+    const width = process.stdout.columns || 80;
+    for (const line of lines) {
+      state.log.push({ text: `[${t}] ${line}`, type });
+      if (state.scroll) state.scroll += Math.ceil((line.length + 8) / width);
+    }
+    if (state.log.length > MAX_SCROLLBACK) state.log.splice(0, state.log.length - MAX_SCROLLBACK);
+    render();
+  }
+
+  const commands = {
+    help: () => log('Commands: /agent [name], /stop [jobId], /clear, /services, /help. PgUp/PgDn scroll, ↑/↓ history, Alt+Enter new line.', 'info'),
+    agent: (name) => {
+      if (!name) return log(`Agent: ${state.agent}`, 'info');
+      if (options.onAgent?.(name) === false) return log(`Unknown agent: ${name}`, 'error');
+      setAgent(name);
+      log(`Agent set to ${name}`, 'info');
+    },
+    stop: (id) => {
+      if (!acp) return log('No jobs to stop', 'error');
+      if (!id) { acp.stopAll(); return log(state.jobs.size || state.queued ? 'Stopping all jobs' : 'No jobs running', 'info'); }
+      const found = acp.stop(id);
+      log(found ? `Stopping ${id}` : `No job ${id}`, found ? 'info' : 'error');
+    },
+    clear: () => { state.log = []; state.scroll = 0; },
+    services: () => {
+      refreshServices();
+      if (!state.services.length) return log(`No service stack; using ${state.agent}`, 'info');
+      const now = Date.now();
+      for (const s of state.services) {
+        const [, status] = serviceStatus(s, now);
+        log(`${s.name} [${s.profileId}] ${status} · ${s.successes} ok, ${s.failures} failed, ${s.rateLimits} rate-limited${s.usage?.calls ? ` · ${calls(s.usage.calls)} today` : ''}`, s.available ? 'info' : 'error');
+      }
+    },
+  };
+
+  function runCommand(line) {
+    const [name, ...args] = line.slice(1).trim().split(/\s+/);
+    const command = commands[name] || options.commands?.[name];
+    if (!command) return log(`Unknown command: /${name} (try /help)`, 'error');
+    command(args.join(' '), api);
+  }
+
+  function submit() {
+    const prompt = state.input.trim();
+    state.input = ''; state.cursor = 0; state.scroll = 0;
+    if (!prompt) return;
+    if (state.history[state.history.length - 1] !== prompt) state.history.push(prompt);
+    if (state.history.length > MAX_HISTORY) state.history.shift();
+    state.historyIndex = state.history.length; state.draft = '';
+    if (prompt.startsWith('/')) return runCommand(prompt);
+    log(`> ${prompt}`, 'in');
+    inputHandler?.(prompt);
+  }
+
+  function insert(text) {
+    state.input = state.input.slice(0, state.cursor) + text + state.input.slice(state.cursor);
+    state.cursor += text.length;
+  }
+
+  function recall(step) {
+    const index = state.historyIndex + step;
+    if (index < 0 || index > state.history.length) return;
+    if (state.historyIndex === state.history.length) state.draft = state.input;
+    state.historyIndex = index;
+    state.input = index === state.history.length ? state.draft : state.history[index];
+    state.cursor = state.input.length;
+  }
+
+  function moveLine(step) {
+    const before = state.input.slice(0, state.cursor).split('\n');
+    const lines = state.input.split('\n');
+    const target = before.length - 1 + step;
+    if (target < 0 || target >= lines.length) return false;
+    const col = Math.min(before[before.length - 1].length, lines[target].length);
+    state.cursor = lines.slice(0, target).reduce((n, l) => n + l.length + 1, 0) + col;
+    return true;
+  }
+
+  function pageSize() { return Math.max(1, (process.stdout.rows || 24) - 8); }
+
+  function edit(key) {
+    const { input, cursor } = state;
+    switch (key) {
+      case '\r': case '\n': return submit();
+      case '\x1b\r': case '\x1b\n': return insert('\n');
+      case '\x7f': case '\b':
+        if (cursor > 0) { state.input = input.slice(0, cursor - 1) + input.slice(cursor); state.cursor--; }
+        return;
+      case '\x1b[3~': state.input = input.slice(0, cursor) + input.slice(cursor + 1); return;
+      case '\x1b[D': state.cursor = Math.max(0, cursor - 1); return;
+      case '\x1b[C': state.cursor = Math.min(input.length, cursor + 1); return;
+      case '\x1b[H': case '\x1b[1~': case '\x1bOH': case '\x01': state.cursor = input.lastIndexOf('\n', cursor - 1) + 1; return;
+      case '\x1b[F': case '\x1b[4~': case '\x1bOF': case '\x05': {
+        const nl = input.indexOf('\n', cursor);
+        state.cursor = nl < 0 ? input.length : nl;
+        return;
+      }
+      case '\x1b[A': if (!moveLine(-1)) recall(-1); return;
+      case '\x1b[B': if (!moveLine(1)) recall(1); return;
+      case '\x1b[5~': state.scroll += pageSize(); return;
+      case '\x1b[6~': state.scroll = Math.max(0, state.scroll - pageSize()); return;
+      case '\x15': state.input = input.slice(cursor); state.cursor = 0; return;
+      case '\x0b': state.input = input.slice(0, cursor); return;
+      case '\x17': {
+        const start = input.slice(0, cursor).replace(/\S+\s*$/, '').length;
+        state.input = input.slice(0, start) + input.slice(cursor); state.cursor = start;
+        return;
+      }
+      case '\x0c': draw(true); return;
+      default: if (key >= ' ' && !key.startsWith('\x1b')) insert(key);
+    }
+  }
+
+  function handleKey(key) {
+    if (key === '\u0003') { stop(); process.exit(0); }
+    if (state.confirms.length) return answerConfirm(key);
+    if (key === 'q' && !state.input) { stop(); process.exit(0); }
+    edit(key);
+  }
+
+  function handleData(data) {
+    if (paste !== null) {
+      const end = data.indexOf(PASTE_END);
+      paste += end < 0 ? data : data.slice(0, end);
+      if (end < 0) return;
+      insert(paste.replace(/\r\n?/g, '\n'));
+      paste = null;
+      data = data.slice(end + PASTE_END.length);
+    }
+    if (!data.startsWith('\x1b') && data.length > 1 && /[\r\n]/.test(data.replace(/[\r\n]+$/, ''))) {
+      insert(data.replace(/[\r\n]+$/, '').replace(/\r\n?/g, '\n'));
+      return render();
+    }
+    for (const [key] of data.matchAll(KEY_PATTERN)) {
+      if (key.startsWith(PASTE_START)) {
+        const body = key.slice(PASTE_START.length);
+        if (body.endsWith(PASTE_END)) insert(body.slice(0, -PASTE_END.length).replace(/\r\n?/g, '\n'));
+        else paste = body;
+      } else handleKey(key);
+    }
     render();
   }
 
   function start(onPrompt) {
     if (!process.stdout.isTTY) { console.error('Non-TTY: pipe output or run in a terminal'); return; }
     inputHandler = onPrompt;
+    started = true;
+    process.stdout.write(ALT_SCREEN[0] + BRACKETED_PASTE[0]);
     process.stdin.setRawMode(true);
     process.stdin.resume();
     process.stdin.setEncoding('utf8');
-    process.stdin.on('data', handleKey);
-    process.on('resize', render);
-    render();
+    process.stdin.on('data', handleData);
+    process.on('resize', onResize);
+    refreshServices();
+    ticker = setInterval(() => {
+      state.tick++;
+      if (state.tick % SERVICES_REFRESH_TICKS === 0) refreshServices();
+      if (state.jobs.size || state.tick % SERVICES_REFRESH_TICKS === 0) render();
+    }, TICK_MS);
+    ticker.unref();
+    draw(true);
   }
 
-  function handleKey(key) {
-    if (key === '\u0003' || (key === 'q' && !state.input)) { stop(); process.exit(0); }
-    else if (key === '\r' || key === '\n') {
-      const prompt = state.input.trim();
-      state.input = '';
-      if (prompt) { log(`> ${prompt}`, 'in'); inputHandler?.(prompt); }
-    } else if (key === '\u007f') {
-      state.input = state.input.slice(0, -1);
-    } else if (key >= ' ') {
-      state.input += key;
-    }
+  function onResize() { draw(true); }
+
+  function confirm(question) {
+    if (!process.stdout.isTTY) return Promise.resolve(false);
+    return new Promise((resolve) => { state.confirms.push({ question, resolve }); render(); });
+  }
+
+  function answerConfirm(key) {
+    const answer = key.toLowerCase();
+    if (answer !== 'y' && answer !== 'n' && key !== '\u001b') return;
+    const { question, resolve } = state.confirms.shift();
+    log(`? ${question} ${answer === 'y' ? 'approved' : 'denied'}`, answer === 'y' ? 'in' : 'error');
+    resolve(answer === 'y');
+  }
+
+  function attach(instance) {
+    acp = instance;
+    acp.on('job-start', (e) => { state.jobs.set(e.id, e); render(); });
+    acp.on('job-end', (e) => {
+      state.jobs.delete(e.id);
+      if (e.status === 'stopped') log(`${e.id} stopped`, 'error');
+      render();
+    });
+    acp.on('queue', (e) => { state.queued = e.queued; render(); });
+    for (const event of ['rate-limited', 'circuit-open', 'circuit-close', 'budget-exceeded']) acp.on(event, () => { refreshServices(); render(); });
+    refreshServices();
     render();
   }
 
   function stop() {
-    process.stdin.off('data', handleKey);
-    process.stdout.write(CLEAR);
+    clearInterval(ticker);
+    process.stdin.off('data', handleData);
+    process.off('resize', onResize);
+    if (started && process.stdout.isTTY) process.stdout.write(BRACKETED_PASTE[1] + ALT_SCREEN[1]);
+    started = false;
     try { process.stdin.setRawMode(false); } catch {}
   }
 
   function setAgent(name) { state.agent = name; render(); }
   function addAdapter(name) { if (!state.adapters.includes(name)) state.adapters.push(name); render(); }
 
-  return { start, stop, log, setAgent, addAdapter };
+  const api = { start, stop, log, confirm, setAgent, addAdapter, attach, get agent() { return state.agent; } };
+  if (acp) attach(acp);
+  return api;
 }
 
 export { createGUI };
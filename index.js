@@ -1,7 +1,20 @@
 import { ACPProtocol } from './core.js';
-import { ServiceRegistry, isRateLimited, createServiceStack, buildArgs, DEFAULT_COOLDOWN_MS, BUILTIN_ARG_BUILDERS } from './services.js';
+import { ServiceRegistry, ROUTING_STRATEGIES, isRateLimited, classifyFailure, FAILURE_PATTERNS, createServiceStack, buildArgs, commandFor, supportsMCP, DEFAULT_COOLDOWN_MS, BUILTIN_ARG_BUILDERS, MCP_ARG_BUILDERS } from './services.js';
 import { FallbackEngine } from './fallback.js';
-import { createAdapter } from './adapters.js';
+import { JobQueue } from './jobs.js';
+import { createAdapter, createChatApproval, splitMessage, shouldRespond, PLATFORM_LIMITS } from './adapters.js';
 import { createGUI } from './gui.js';
+import { SessionManager, MemorySessionStore, FileSessionStore } from './sessions.js';
+import { ResponseCache, MemoryCacheStore, FileCacheStore } from './cache.js';
+import { Recorder, Replayer, ReplayError } from './replay.js';
+import { WorkspaceManager, buildEnv } from './sandbox.js';
+import { fanOut, route, pipeline, MERGE_STRATEGIES } from './orchestrate.js';
+import { validate, ToolValidationError, StructuredOutputError } from './schema.js';
+import { createMCPHandler, serveMCP, startToolBridge, toolSource } from './mcp.js';
+import { ACPClient, ACP_AGENTS } from './transport.js';
+import { createDaemon } from './daemon.js';
+import { AccessControl } from './access.js';
+import { BUILTIN_PARSERS, resolveParser, parseOutput, createEventParser, extractJSON } from './parser.js';
+import { loadConfig, findConfig, validateConfig, parseYAML, createFromConfig, ConfigError } from './config.js';
 
-export { ACPProtocol, ServiceRegistry, FallbackEngine, isRateLimited, createServiceStack, buildArgs, DEFAULT_COOLDOWN_MS, BUILTIN_ARG_BUILDERS, createAdapter, createGUI };
+export { ACPProtocol, ServiceRegistry, ROUTING_STRATEGIES, FallbackEngine, JobQueue, isRateLimited, classifyFailure, FAILURE_PATTERNS, createServiceStack, buildArgs, commandFor, supportsMCP, DEFAULT_COOLDOWN_MS, BUILTIN_ARG_BUILDERS, MCP_ARG_BUILDERS, createAdapter, createChatApproval, splitMessage, shouldRespond, PLATFORM_LIMITS, createDaemon, fanOut, route, pipeline, MERGE_STRATEGIES, AccessControl, BUILTIN_PARSERS, resolveParser, parseOutput, createEventParser, extractJSON, createGUI, SessionManager, MemorySessionStore, FileSessionStore, ResponseCache, MemoryCacheStore, FileCacheStore, Recorder, Replayer, ReplayError, WorkspaceManager, buildEnv, validate, ToolValidationError, StructuredOutputError, createMCPHandler, serveMCP, startToolBridge, toolSource, ACPClient, ACP_AGENTS, loadConfig, findConfig, validateConfig, parseYAML, createFromConfig, ConfigError };
@@ -0,0 +1,103 @@
+import { EventEmitter } from 'events';
+
+const LABEL_CHARS = 80;
+
+class JobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.concurrency = options.concurrency ?? Infinity;
+    this._seq = 0;
+    this._queued = [];
+    this._running = new Map();
+  }
+
+  get depth() { return this._queued.length; }
+  get inFlight() { return this._running.size; }
+
+  submit(run, options = {}) {
+    const id = `job-${++this._seq}`;
+    const info = {
+      id,
+      status: 'queued',
+      priority: options.priority ?? 0,
+      label: options.label === undefined ? undefined : String(options.label).slice(0, LABEL_CHARS),
+      queuedAt: Date.now(),
+      startedAt: null,
+      endedAt: null,
+    };
+    const entry = { info, run, controller: new AbortController() };
+    const job = new Promise((resolve, reject) => Object.assign(entry, { resolve, reject }));
+    Object.defineProperty(job, 'status', { get: () => info.status, enumerable: true });
+    Object.assign(job, { id, signal: entry.controller.signal, stop: () => this.stop(id) });
+
+    const onAbort = () => this.stop(id);
+    entry.cleanup = () => options.signal?.removeEventListener('abort', onAbort);
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+
+    const at = this._queued.findIndex(e => e.info.priority < info.priority);
+    this._queued.splice(at < 0 ? this._queued.length : at, 0, entry);
+    this.emit('queued', { ...info, depth: this.depth });
+    this._changed();
+    if (options.signal?.aborted) this.stop(id); else this._drain();
+    return job;
+  }
+
+  _drain() {
+    while (this._running.size < this.concurrency && this._queued.length) this._start(this._queued.shift());
+  }
+
+  _start(entry) {
+    const { info } = entry;
+    info.status = 'running';
+    info.startedAt = Date.now();
+    this._running.set(info.id, entry);
+    this.emit('start', { ...info, waitedMs: info.startedAt - info.queuedAt });
+    this._changed();
+    Promise.resolve()
+      .then(() => entry.run(entry.controller.signal, info.id))
+      .then((value) => this._finish(entry, 'done', value), (error) => this._finish(entry, entry.controller.signal.aborted ? 'stopped' : 'failed', undefined, error));
+  }
+
+  _finish(entry, status, value, error) {
+    const { info } = entry;
+    info.status = status;
+    info.endedAt = Date.now();
+    this._running.delete(info.id);
+    entry.cleanup();
+    this.emit('end', { ...info, ...(error && { error: error.message }) });
+    this._changed();
+    this._drain();
+    if (error) entry.reject(error); else entry.resolve(value);
+  }
+
+  stop(id) {
+    const queuedAt = this._queued.findIndex(e => e.info.id === id);
+    if (queuedAt >= 0) {
+      const [entry] = this._queued.splice(queuedAt, 1);
+      entry.controller.abort();
+      this._finish(entry, 'stopped', undefined, new Error('Aborted'));
+      return true;
+    }
+    const running = this._running.get(id);
+    if (!running) return false;
+    running.controller.abort();
+    return true;
+  }
+
+  stopAll() {
+    for (const entry of [...this._queued]) this.stop(entry.info.id);
+    for (const id of [...this._running.keys()]) this.stop(id);
+  }
+
+  setConcurrency(limit) {
+    this.concurrency = limit ?? Infinity;
+    this._drain();
+    this._changed();
+  }
+
+  list() { return [...this._running.values(), ...this._queued].map(e => ({ ...e.info })); }
+
+  _changed() { this.emit('change', { queued: this._queued.length, running: this._running.size, concurrency: this.concurrency }); }
+}
+
+export { JobQueue };
@@ -0,0 +1,95 @@
+import { createServer, connect } from 'net';
+import { createInterface } from 'readline';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+import { fileURLToPath } from 'url';
+
+const MCP_PROTOCOL_VERSION = '2024-11-05';
+const SERVER_INFO = { name: 'acpreact', version: '1.2.0' };
+const BIN_PATH = fileURLToPath(new URL('./bin.js', import.meta.url));
+
+function toolSource(acp, context = {}) {
+  return { list: () => acp.getToolsList(), call: (name, args) => acp.callTool(name, args, context) };
+}
+
+function toContent(result) {
+  return [{ type: 'text', text: typeof result === 'string' ? result : JSON.stringify(result ?? null) }];
+}
+
+function createMCPHandler(source) {
+  return async (msg) => {
+    const reply = (result) => ({ jsonrpc: '2.0', id: msg.id, result });
+    const fail = (code, message) => ({ jsonrpc: '2.0', id: msg.id ?? null, error: { code, message } });
+    if (msg.id === undefined) return null;
+    switch (msg.method) {
+      case 'initialize':
+        return reply({ protocolVersion: msg.params?.protocolVersion || MCP_PROTOCOL_VERSION, capabilities: { tools: {} }, serverInfo: SERVER_INFO });
+      case 'ping':
+        return reply({});
+      case 'tools/list':
+        return reply({ tools: source.list().map(({ name, description, inputSchema }) => ({ name, description, inputSchema: inputSchema || { type: 'object' } })) });
+      case 'tools/call': {
+        const { name, arguments: args = {} } = msg.params || {};
+        try { return reply({ content: toContent(await source.call(name, args)), isError: false }); }
+        catch (e) { return reply({ content: toContent(e.message), isError: true }); }
+      }
+      default:
+        return fail(-32601, `Method not found: ${msg.method}`);
+    }
+  };
+}
+
+function serveLines(input, output, handle) {
+  const rl = createInterface({ input, crlfDelay: Infinity });
+  rl.on('line', async (line) => {
+    if (!line.trim()) return;
+    let msg;
+    try { msg = JSON.parse(line); }
+    catch { output.write(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }) + '\n'); return; }
+    const response = await handle(msg);
+    if (response && output.writable !== false) output.write(JSON.stringify(response) + '\n');
+  });
+  return () => rl.close();
+}
+
+function serveMCP(source, { input = process.stdin, output = process.stdout } = {}) {
+  return serveLines(input, output, createMCPHandler(source));
+}
+
+function bridgePath() {
+  const id = `acpreact-${process.pid}-${randomBytes(4).toString('hex')}`;
+  return process.platform === 'win32' ? `\\\\.\\pipe\\${id}` : join(tmpdir(), `${id}.sock`);
+}
+
+function startToolBridge(source) {
+  const path = bridgePath();
+  const sockets = new Set();
+  const handle = createMCPHandler(source);
+  const server = createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    serveLines(socket, socket, handle);
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(path, () => resolve({
+      path,
+      server: { command: process.execPath, args: [BIN_PATH, 'mcp', '--bridge', path] },
+      close: () => new Promise((r) => { for (const s of sockets) s.destroy(); server.close(() => r()); }),
+    }));
+  });
+}
+
+function proxyBridge(path, { input = process.stdin, output = process.stdout } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = connect(path);
+    socket.once('error', reject);
+    socket.once('connect', () => { input.pipe(socket); socket.pipe(output); });
+    socket.once('close', resolve);
+    input.once('end', () => socket.end());
+  });
+}
+
+export { createMCPHandler, serveMCP, startToolBridge, proxyBridge, toolSource, MCP_PROTOCOL_VERSION };
@@ -0,0 +1,156 @@
+import { sumUsage } from './parser.js';
+
+const MERGE_STRATEGIES = ['all', 'first', 'vote'];
+
+function agentLabel(agent) {
+  if (typeof agent === 'string') return agent;
+  if (agent.services) return agent.services.map(agentLabel).join('→');
+  const name = agent.cli || agent.name;
+  return `${name}${agent.profile ? `[${agent.profile}]` : ''}${agent.model ? `:${agent.model}` : ''}`;
+}
+
+function agentOptions(acp, agent) {
+  if (typeof agent !== 'string') return agent.services ? { services: agent.services } : { services: [agent] };
+  const registered = acp.registry.getAll().filter(s => s.name === agent);
+  if (!registered.length) return { cli: agent };
+  return { services: acp.registry.getAvailable(s => s.name === agent).map(s => s.config) };
+}
+
+function normalizeAnswer(answer) {
+  return answer.result.data !== undefined ? JSON.stringify(answer.result.data) : answer.text.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function judgePrompt(prompt, answers) {
+  let out = `Question:\n${prompt}\n\nCandidate answers:\n`;
+  answers.forEach((a, i) => { out += `\n[${i + 1}] (${a.agent})\n${a.text}\n`; });
+  return out + '\nCombine these into the single best answer: keep what they agree on, resolve disagreements, drop mistakes. Reply with the final answer only.';
+}
+
+function routerPrompt(prompt, routes) {
+  const lines = Object.entries(routes).map(([name, r]) => `- ${name}${r.description ? `: ${r.description}` : ''}`);
+  return `Pick the route that should handle this request.\n\nRoutes:\n${lines.join('\n')}\n\nRequest:\n${prompt}`;
+}
+
+async function remember(acp, options, prompt, text) {
+  if (options.sessionId != null) await acp.sessions.append(options.sessionId, { role: 'user', content: prompt }, { role: 'assistant', content: text });
+}
+
+function usageOf(results) { return sumUsage(results.map(r => r?.usage).filter(Boolean)); }
+
+async function fanOut(acp, prompt, options = {}) {
+  const { agents = [], merge = 'all', ...processOptions } = options;
+  if (!agents.length) throw new Error('fanOut: at least one agent is required');
+  const judge = typeof merge === 'object' && merge.judge;
+  if (typeof merge === 'string' && !MERGE_STRATEGIES.includes(merge)) throw new Error(`Unknown merge strategy: ${merge}. Available: ${MERGE_STRATEGIES.join(', ')}, { judge }, or a function`);
+  const started = Date.now();
+  acp.emit('fanout', { prompt, agents: agents.map(agentLabel), merge: judge ? 'judge' : typeof merge === 'function' ? 'custom' : merge });
+
+  const jobs = agents.map(agent => acp.process(prompt, { ...processOptions, ...agentOptions(acp, agent), _skipSession: true }));
+  const settle = (job, i) => job.then(
+    (result) => ({ agent: agentLabel(agents[i]), ok: true, text: result.text, result }),
+    (error) => ({ agent: agentLabel(agents[i]), ok: false, error }));
+  const tracked = jobs.map((job, i) => settle(job, i).then((answer) => {
+    acp.emit('fanout-answer', { agent: answer.agent, ok: answer.ok, jobId: job.id, ...(answer.ok ? { text: answer.text } : { error: answer.error.message }) });
+    return answer;
+  }));
+
+  let winner;
+  if (merge === 'first') {
+    winner = await Promise.any(tracked.map(p => p.then(a => a.ok ? a : Promise.reject(a.error)))).catch(() => null);
+    for (const job of jobs) job.stop();
+  }
+  const answers = await Promise.all(tracked);
+  const succeeded = answers.filter(a => a.ok);
+  if (!succeeded.length) throw new AggregateError(answers.map(a => a.error), `All agents failed: ${answers.map(a => `${a.agent}: ${a.error.message}`).join('; ')}`);
+
+  const out = { merge: judge ? 'judge' : typeof merge === 'function' ? 'custom' : merge, answers };
+  if (merge === 'first') Object.assign(out, { text: winner.text, winner: winner.agent, data: winner.result.data });
+  else if (merge === 'vote') {
+    const groups = new Map();
+    for (const a of succeeded) {
+      const key = normalizeAnswer(a);
+      if (!groups.has(key)) groups.set(key, { text: a.text, agents: [], data: a.result.data });
+      groups.get(key).agents.push(a.agent);
+    }
+    const votes = [...groups.values()].map(g => ({ ...g, count: g.agents.length }));
+    const top = votes.reduce((best, v) => v.count > best.count ? v : best);
+    Object.assign(out, { text: top.text, data: top.data, winner: top.agents[0], votes, agreement: top.count / succeeded.length });
+  } else if (judge) {
+    const verdict = await acp.process(judgePrompt(prompt, succeeded), { ...processOptions, ...agentOptions(acp, judge), allowedTools: [], responseSchema: undefined, _skipSession: true });
+    Object.assign(out, { text: verdict.text, judge: verdict });
+  } else if (typeof merge === 'function') {
+    const merged = await merge(succeeded, { prompt, answers });
+    Object.assign(out, typeof merged === 'string' ? { text: merged } : merged);
+  } else out.text = succeeded.map(a => `[${a.agent}]\n${a.text}`).join('\n\n');
+
+  if (out.data === undefined) delete out.data;
+  const usage = usageOf([...answers.map(a => a.result), out.judge]);
+  if (usage) out.usage = usage;
+  out.metrics = { durationMs: Date.now() - started, agents: agents.length, succeeded: succeeded.length };
+  await remember(acp, processOptions, prompt, out.text);
+  return out;
+}
+
+async function route(acp, prompt, options = {}) {
+  const { routes = {}, rules = [], classifier, default: fallbackRoute, ...processOptions } = options;
+  const names = Object.keys(routes);
+  if (!names.length) throw new Error('route: at least one route is required');
+  const defs = Object.fromEntries(names.map(n => [n, typeof routes[n] === 'string' ? { agent: routes[n] } : routes[n]]));
+  if (fallbackRoute !== undefined && !defs[fallbackRoute]) throw new Error(`route: unknown default route: ${fallbackRoute}`);
+
+  let picked = null;
+  for (const rule of rules) {
+    if (!defs[rule.route]) throw new Error(`route: rule points at unknown route: ${rule.route}`);
+    if (typeof rule.match === 'function' ? rule.match(prompt) : rule.match.test(prompt)) { picked = { name: rule.route, by: 'rule' }; break; }
+  }
+  let classification = null;
+  if (!picked && classifier) {
+    const schema = { type: 'object', properties: { route: { enum: names }, reason: { type: 'string' } }, required: ['route'] };
+    try {
+      classification = await acp.processStructured(routerPrompt(prompt, defs), schema, { ...agentOptions(acp, classifier), allowedTools: [], signal: processOptions.signal, cache: processOptions.cache });
+      picked = { name: classification.data.route, by: 'classifier', ...(classification.data.reason && { reason: classification.data.reason }) };
+    } catch (err) {
+      if (fallbackRoute === undefined || processOptions.signal?.aborted) throw err;
+      picked = { name: fallbackRoute, by: 'default', error: err.message };
+    }
+  }
+  if (!picked && fallbackRoute !== undefined) picked = { name: fallbackRoute, by: 'default' };
+  if (!picked) throw new Error('route: no rule matched and no classifier or default route is set');
+
+  const def = defs[picked.name];
+  acp.emit('route', { ...picked, agent: agentLabel(def.agent) });
+  const result = await acp.process(prompt, { ...processOptions, ...agentOptions(acp, def.agent), ...def.options });
+  result.route = { ...picked, agent: agentLabel(def.agent) };
+  if (classification?.usage) result.route.usage = classification.usage;
+  return result;
+}
+
+function stepPrompt(step, text, input, steps) {
+  if (typeof step.prompt === 'function') return step.prompt(text, { input, steps });
+  if (!step.prompt) return text;
+  const filled = step.prompt.replace(/\{input\}/g, () => text).replace(/\{original\}/g, () => input);
+  return step.prompt.includes('{input}') ? filled : `${filled}\n\n${text}`;
+}
+
+async function pipeline(acp, input, steps, options = {}) {
+  if (!steps?.length) throw new Error('pipeline: at least one step is required');
+  const started = Date.now();
+  const results = [];
+  let text = input;
+  for (const [i, raw] of steps.entries()) {
+    const step = typeof raw === 'string' ? { agent: raw } : raw;
+    const prompt = await stepPrompt(step, text, input, results);
+    const result = await acp.process(prompt, { ...options, ...(step.agent && agentOptions(acp, step.agent)), ...step.options, _skipSession: true });
+    const agent = step.agent ? agentLabel(step.agent) : null;
+    results.push({ step: i + 1, name: step.name, agent, prompt, text: result.text, result });
+    acp.emit('pipeline-step', { step: i + 1, name: step.name, agent, jobId: result.jobId, text: result.text });
+    text = result.text;
+  }
+  await remember(acp, options, input, text);
+  const out = { text, steps: results, metrics: { durationMs: Date.now() - started, steps: results.length } };
+  const usage = usageOf(results.map(r => r.result));
+  if (usage) out.usage = usage;
+  return out;
+}
+
+export { fanOut, route, pipeline, MERGE_STRATEGIES };
@@ -1,50 +1,314 @@
-function parseTextOutput(output) {
-  let text = '';
-  let hasJson = false;
-  for (const line of output.split('\n')) {
+const MAX_PENDING_JSON = 1_048_576;
+
+function textOf(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.map(c => c?.text ?? (typeof c === 'string' ? c : '')).join('');
+  return content == null ? '' : JSON.stringify(content);
+}
+
+function usage(fields) {
+  const out = { type: 'usage' };
+  for (const [k, v] of Object.entries(fields)) if (typeof v === 'number' && Number.isFinite(v)) out[k] = v;
+  return out;
+}
+
+const claudeParser = (json) => {
+  const content = json.message?.content || [];
+  switch (json.type) {
+    case 'assistant':
+      return content.flatMap(c => c.type === 'text' ? [{ type: 'text', text: `${c.text}\n\n` }]
+        : c.type === 'tool_use' ? [{ type: 'tool_use', id: c.id, name: c.name, input: c.input }] : []);
+    case 'user':
+      return content.filter(c => c.type === 'tool_result').map(c => ({ type: 'tool_result', id: c.tool_use_id, output: textOf(c.content), isError: !!c.is_error }));
+    case 'result': {
+      const u = json.usage || {};
+      const events = [usage({ inputTokens: u.input_tokens, outputTokens: u.output_tokens, cacheReadTokens: u.cache_read_input_tokens, cacheWriteTokens: u.cache_creation_input_tokens, costUsd: json.total_cost_usd ?? json.cost_usd })];
+      if (json.is_error) events.push({ type: 'error', message: textOf(json.result) || json.subtype || 'error' });
+      return events;
+    }
+    case 'system': case 'stream_event': return [];
+    default: return undefined;
+  }
+};
+
+const opencodeParser = (json) => {
+  const part = json.part || {};
+  switch (json.type) {
+    case 'text': return part.text ? [{ type: 'text', text: part.text }] : [];
+    case 'tool_use': {
+      const state = part.state || {};
+      const events = [{ type: 'tool_use', id: part.callID, name: part.tool, input: state.input }];
+      if (state.status === 'completed') events.push({ type: 'tool_result', id: part.callID, output: textOf(state.output), isError: false });
+      if (state.status === 'error') events.push({ type: 'tool_result', id: part.callID, output: textOf(state.error), isError: true });
+      return events;
+    }
+    case 'step_finish': {
+      const t = part.tokens || {};
+      return [usage({ inputTokens: t.input, outputTokens: t.output, reasoningTokens: t.reasoning, cacheReadTokens: t.cache?.read, cacheWriteTokens: t.cache?.write, costUsd: part.cost })];
+    }
+    case 'error': return [{ type: 'error', message: json.error?.data?.message || json.error?.message || json.error?.name || 'error' }];
+    case 'step_start': case 'reasoning': return [];
+    default: return undefined;
+  }
+};
+
+function codexItem(item) {
+  switch (item.type) {
+    case 'agent_message': return [{ type: 'text', text: `${item.text}\n\n` }];
+    case 'command_execution': return [
+      { type: 'tool_use', id: item.id, name: 'shell', input: { command: item.command } },
+      { type: 'tool_result', id: item.id, output: item.aggregated_output ?? '', isError: item.exit_code !== 0 },
+    ];
+    case 'mcp_tool_call': return [
+      { type: 'tool_use', id: item.id, name: `${item.server}.${item.tool}`, input: item.arguments },
+      { type: 'tool_result', id: item.id, output: textOf(item.result?.content ?? item.error?.message), isError: item.status === 'failed' },
+    ];
+    case 'file_change': return [{ type: 'tool_use', id: item.id, name: 'apply_patch', input: { changes: item.changes } }];
+    case 'error': return [{ type: 'error', message: item.message }];
+    default: return [];
+  }
+}
+
+const codexParser = (json) => {
+  if (json.msg) {
+    const msg = json.msg;
+    if (msg.type === 'agent_message') return [{ type: 'text', text: `${msg.message}\n\n` }];
+    if (msg.type === 'error') return [{ type: 'error', message: msg.message }];
+    return [];
+  }
+  switch (json.type) {
+    case 'item.completed': return codexItem(json.item || {});
+    case 'turn.completed': {
+      const u = json.usage || {};
+      return [usage({ inputTokens: u.input_tokens, outputTokens: u.output_tokens, cacheReadTokens: u.cached_input_tokens })];
+    }
+    case 'turn.failed': return [{ type: 'error', message: json.error?.message || 'turn failed' }];
+    case 'error': return [{ type: 'error', message: json.message }];
+    case 'thread.started': case 'turn.started': case 'item.started': case 'item.updated': return [];
+    default: return undefined;
+  }
+};
+
+function geminiStats(stats = {}) {
+  if (stats.models) {
+    const totals = { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0 };
+    for (const { tokens = {} } of Object.values(stats.models)) {
+      totals.inputTokens += tokens.prompt || 0;
+      totals.outputTokens += (tokens.candidates || 0) + (tokens.thoughts || 0);
+      totals.cacheReadTokens += tokens.cached || 0;
+    }
+    return usage(totals);
+  }
+  return usage({ inputTokens: stats.input_tokens, outputTokens: stats.output_tokens, cacheReadTokens: stats.cached });
+}
+
+const geminiParser = (json) => {
+  switch (json.type) {
+    case 'message': return json.role === 'assistant' && json.content ? [{ type: 'text', text: json.content }] : [];
+    case 'tool_use': return [{ type: 'tool_use', id: json.tool_id, name: json.tool_name, input: json.parameters }];
+    case 'tool_result': return [{ type: 'tool_result', id: json.tool_id, output: textOf(json.output ?? json.error?.message), isError: json.status === 'error' }];
+    case 'result': return [geminiStats(json.stats), ...(json.status === 'error' ? [{ type: 'error', message: json.error?.message || 'error' }] : [])];
+    case 'error': return [{ type: 'error', message: json.message }];
+    case 'init': return [];
+    case undefined:
+      if (!('response' in json) && !json.error) return undefined;
+      return [
+        ...(json.response ? [{ type: 'text', text: json.response }] : []),
+        ...(json.stats ? [geminiStats(json.stats)] : []),
+        ...(json.error ? [{ type: 'error', message: json.error.message || String(json.error) }] : []),
+      ];
+    default: return undefined;
+  }
+};
+
+const plainParser = (json) => json.type === 'text' && json.part?.text ? [{ type: 'text', text: json.part.text }] : undefined;
+
+const BUILTIN_PARSERS = {
+  plain: plainParser,
+  claude: claudeParser,
+  kilo: opencodeParser,
+  opencode: opencodeParser,
+  gemini: geminiParser,
+  codex: codexParser,
+  amp: claudeParser,
+  aider: plainParser,
+  goose: plainParser,
+};
+
+function resolveParser(entry) {
+  const configured = entry?.config?.parser;
+  if (typeof configured === 'function') return configured;
+  if (configured) {
+    if (!Object.hasOwn(BUILTIN_PARSERS, configured)) throw new Error(`Unknown parser: ${configured}. Available: ${Object.keys(BUILTIN_PARSERS).join(', ')}`);
+    return BUILTIN_PARSERS[configured];
+  }
+  if (entry?.config?.transport === 'acp') return plainParser;
+  const agent = entry?.config?.cli || entry?.name;
+  return Object.hasOwn(BUILTIN_PARSERS, agent) ? BUILTIN_PARSERS[agent] : plainParser;
+}
+
+function createEventParser(parser = plainParser) {
+  let buffer = '', pending = null;
+  const plain = (line, eol) => [{ type: 'text', text: `${line}${eol}`, plain: true }];
+  const structured = (json) => {
+    if (json.jsonrpc) return null;
+    return parser(json) ?? null;
+  };
+  const parseLine = (line, eol = '\n') => {
     const trimmed = line.trim();
-    if (!trimmed) continue;
-    try {
-      const json = JSON.parse(trimmed);
-      if (json.type === 'text' && json.part?.text) {
-        hasJson = true;
-        const partText = json.part.text;
-        try {
-          const inner = JSON.parse(partText.trim());
-          if (inner.jsonrpc === '2.0' && inner.method?.startsWith('tools/')) continue;
-        } catch {}
-        text += partText;
-      }
-    } catch {}
-  }
-  return hasJson ? text : output.trim();
-}
-
-function parseToolCalls(output) {
-  const seen = new Set();
+    if (pending !== null) {
+      pending += `${line}\n`;
+      if (line.trimEnd() !== '}' && pending.length < MAX_PENDING_JSON) return [];
+      const text = pending.slice(0, -1);
+      pending = null;
+      let json;
+      try { json = JSON.parse(text); } catch {}
+      return (json && structured(json)) || plain(text, eol);
+    }
+    if (!trimmed) return eol ? plain('', eol) : [];
+    if (line.trimEnd() === '{') { pending = `${line}\n`; return []; }
+    let json;
+    try { json = JSON.parse(trimmed); } catch {}
+    return (json && typeof json === 'object' && !Array.isArray(json) && structured(json)) || plain(line, eol);
+  };
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      return lines.flatMap((line) => parseLine(line));
+    },
+    end() {
+      const rest = buffer;
+      buffer = '';
+      const events = rest ? parseLine(rest, '') : [];
+      if (pending !== null) { events.push(...plain(pending.replace(/\n$/, ''), '')); pending = null; }
+      return events;
+    },
+  };
+}
+
+function asToolCall(candidate) {
+  try {
+    const json = JSON.parse(candidate.trim());
+    if (json.jsonrpc === '2.0' && json.method?.startsWith('tools/') && json.params) return { id: json.id, method: json.method, params: json.params };
+  } catch {}
+  return null;
+}
+
+function splitToolCalls(text) {
   const calls = [];
-  const tryAdd = (candidate) => {
-    const trimmed = candidate.trim();
-    if (!trimmed) return;
-    try {
-      const json = JSON.parse(trimmed);
-      if (json.jsonrpc === '2.0' && json.method?.startsWith('tools/') && json.params) {
-        const key = `${json.id}:${json.method}`;
-        if (!seen.has(key)) { seen.add(key); calls.push({ id: json.id, method: json.method, params: json.params }); }
-      }
-    } catch {}
+  const kept = text.split('\n').filter((line) => {
+    const call = asToolCall(line);
+    if (call) calls.push(call);
+    return !call;
+  });
+  return { text: calls.length ? kept.join('\n') : text, calls };
+}
+
+function sumUsage(records) {
+  if (!records.length) return null;
+  const total = {};
+  for (const { type, ...fields } of records) for (const [k, v] of Object.entries(fields)) total[k] = (total[k] || 0) + v;
+  return total;
+}
+
+function parseOutput(output, parser) {
+  const p = createEventParser(parser);
+  const events = [...p.push(output), ...p.end()];
+  const seen = new Set(), toolCalls = [];
+  const structured = events.some(e => e.type === 'text' && !e.plain);
+  let text = '';
+  for (const e of events) {
+    if (e.type !== 'text') continue;
+    const split = splitToolCalls(e.text);
+    for (const call of split.calls) {
+      const key = `${call.id}:${call.method}`;
+      if (!seen.has(key)) { seen.add(key); toolCalls.push(call); }
+    }
+    if (!structured || !e.plain) text += split.text;
+  }
+  return {
+    text: text.trim(),
+    toolCalls,
+    events: events.filter(e => e.type !== 'text').map(({ plain, ...e }) => e),
+    usage: sumUsage(events.filter(e => e.type === 'usage')),
   };
-  for (const line of output.split('\n')) {
-    const trimmed = line.trim();
-    if (!trimmed) continue;
-    try {
-      const json = JSON.parse(trimmed);
-      if (json.type === 'text' && json.part?.text) {
-        for (const inner of json.part.text.split('\n')) tryAdd(inner);
-      } else { tryAdd(trimmed); }
-    } catch { tryAdd(trimmed); }
+}
+
+const FENCE = /```[\w-]*[ \t]*\n([\s\S]*?)\n?```/g;
+
+function balancedJSON(text, start) {
+  const stack = [];
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') inString = true;
+    else if (ch === '{' || ch === '[') stack.push(ch === '{' ? '}' : ']');
+    else if (ch === '}' || ch === ']') {
+      if (stack.pop() !== ch) return null;
+      if (!stack.length) return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+function extractJSON(text) {
+  const attempt = (candidate) => { try { return { value: JSON.parse(candidate) }; } catch { return null; } };
+  const whole = attempt(text.trim());
+  if (whole) return whole;
+  for (const [, body] of text.matchAll(FENCE)) {
+    const fenced = attempt(body.trim());
+    if (fenced) return fenced;
+  }
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] !== '{' && text[i] !== '[') continue;
+    const candidate = balancedJSON(text, i);
+    const found = candidate && attempt(candidate);
+    if (found) return found;
   }
-  return calls;
+  return null;
+}
+
+function parseTextOutput(output, parser) { return parseOutput(output, parser).text; }
+
+function parseToolCalls(output, parser) { return parseOutput(output, parser).toolCalls; }
+
+const STREAM_TYPES = { tool_use: 'agent-tool-use', tool_result: 'agent-tool-result', usage: 'usage', error: 'agent-error' };
+
+function createStreamParser(parser) {
+  const events = createEventParser(parser);
+  const seen = new Set();
+  const normalize = (list) => list.flatMap(({ plain, ...e }) => {
+    if (e.type !== 'text') return [{ ...e, type: STREAM_TYPES[e.type] || e.type }];
+    const split = splitToolCalls(e.text);
+    const out = split.text.trim() || (!split.calls.length && split.text) ? [{ type: 'text-delta', text: split.text }] : [];
+    for (const call of split.calls) {
+      const key = `${call.id}:${call.method}`;
+      if (!seen.has(key)) { seen.add(key); out.push({ type: 'tool-call', call }); }
+    }
+    return out;
+  });
+  return {
+    push: (chunk) => normalize(events.push(chunk)),
+    end: () => normalize(events.end()),
+  };
+}
+
+function formatToolCall(call) {
+  return JSON.stringify({ jsonrpc: '2.0', id: call.id, method: call.method, params: call.params });
+}
+
+function formatToolResult(id, result) {
+  return JSON.stringify({ jsonrpc: '2.0', id: id ?? null, result: result === undefined ? null : result });
+}
+
+function formatToolError(id, code, message, data) {
+  const error = data === undefined ? { code, message } : { code, message, data };
+  return JSON.stringify({ jsonrpc: '2.0', id: id ?? null, error });
 }
 
-export { parseTextOutput, parseToolCalls };
+export { parseTextOutput, parseToolCalls, parseOutput, createEventParser, createStreamParser, resolveParser, sumUsage, extractJSON, BUILTIN_PARSERS, formatToolCall, formatToolResult, formatToolError };
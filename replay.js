@@ -0,0 +1,134 @@
+import { readFileSync } from 'fs';
+import { commandFor } from './services.js';
+import { writeFileAtomic } from './files.js';
+
+const FIXTURE_VERSION = 1;
+const MATCH_MODES = ['exact', 'service', 'sequence'];
+
+function loadFixtures(source) {
+  if (typeof source !== 'string') return Array.isArray(source) ? source : source?.calls ?? [];
+  try { return JSON.parse(readFileSync(source, 'utf8')).calls || []; }
+  catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+}
+
+function errorFields(error) {
+  return {
+    message: error.message,
+    ...(error.timeout && { timeout: true }),
+    ...(error.exitCode != null && { exitCode: error.exitCode }),
+    ...(typeof error.code === 'string' && { code: error.code }),
+  };
+}
+
+function describeCall(entry, prompt, options) {
+  const { binary, args, input } = commandFor(entry, prompt, options);
+  return {
+    binary,
+    args: input?.path ? args.map(a => a.replaceAll(input.path, '{promptFile}')) : args,
+    ...(input && { input: input.text }),
+  };
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => { clearTimeout(timer); resolve(); }, { once: true });
+  });
+}
+
+class ReplayError extends Error {
+  constructor(message, { service, args } = {}) {
+    super(message);
+    this.name = 'ReplayError';
+    this.service = service;
+    this.args = args;
+  }
+}
+
+class Recorder {
+  constructor(path, options = {}) {
+    this.path = path;
+    this.calls = options.append ? loadFixtures(path) : [];
+    this._writes = Promise.resolve();
+  }
+
+  wrap(spawnFn) { return (entry, prompt, options, callbacks) => this._record(spawnFn, entry, prompt, options, callbacks); }
+
+  async _record(spawnFn, entry, prompt, options = {}, callbacks = {}) {
+    const started = Date.now();
+    const call = { service: entry.name, profileId: entry.profileId, ...describeCall(entry, prompt, options), chunks: [] };
+    const capture = (stream, forward) => (data) => { call.chunks.push({ stream, at: Date.now() - started, data }); forward?.(data); };
+    try {
+      const result = await spawnFn(entry, prompt, options, { ...callbacks, onOutput: capture('stdout', callbacks.onOutput), onStderr: capture('stderr', callbacks.onStderr) });
+      call.exitCode = result.code ?? 0;
+      return result;
+    } catch (error) {
+      call.error = errorFields(error);
+      throw error;
+    } finally {
+      call.durationMs = Date.now() - started;
+      this.calls.push(call);
+      await this.flush();
+    }
+  }
+
+  flush() {
+    if (!this.path) return this._writes;
+    const json = JSON.stringify({ version: FIXTURE_VERSION, calls: this.calls }, null, 2);
+    this._writes = this._writes.catch(() => {}).then(() => writeFileAtomic(this.path, json));
+    return this._writes;
+  }
+}
+
+class Replayer {
+  constructor(source, options = {}) {
+    this.calls = loadFixtures(source);
+    this.match = options.match || 'exact';
+    this.speed = options.speed ?? 0;
+    if (!MATCH_MODES.includes(this.match)) throw new Error(`Unknown replay match mode: ${this.match}. Available: ${MATCH_MODES.join(', ')}`);
+    if (typeof source === 'string' && !this.calls.length) throw new ReplayError(`No recorded calls in ${source}`);
+    this._used = new Set();
+  }
+
+  _find(entry, { args, input }) {
+    const fits = (call) => this.match === 'sequence'
+      || (call.service === entry.name && (this.match === 'service' || (JSON.stringify(call.args) === JSON.stringify(args) && call.input === input)));
+    const indexes = this.calls.map((call, i) => fits(call) ? i : -1).filter(i => i >= 0);
+    return indexes.find(i => !this._used.has(i)) ?? (this.match === 'exact' ? indexes[indexes.length - 1] : undefined) ?? -1;
+  }
+
+  async spawn(entry, prompt, options = {}, callbacks = {}) {
+    const { args, input } = describeCall(entry, prompt, options);
+    const index = this._find(entry, { args, input });
+    if (index < 0) throw new ReplayError(`No recorded call for ${entry.name}${this.match === 'exact' ? ' with these arguments' : ''}`, { service: entry.name, args });
+    this._used.add(index);
+    const call = this.calls[index];
+    const signal = options._abortSignal;
+    let output = '', stderr = '', last = 0;
+    const fail = (error) => Object.assign(error, { output, stderr });
+
+    for (const chunk of call.chunks || []) {
+      if (this.speed > 0 && chunk.at > last) await sleep((chunk.at - last) / this.speed, signal);
+      else await null;
+      last = chunk.at;
+      if (signal?.aborted) throw fail(new Error('Aborted'));
+      if (chunk.stream === 'stderr') { stderr += chunk.data; callbacks.onStderr?.(chunk.data); }
+      else { output += chunk.data; callbacks.onOutput?.(chunk.data); }
+    }
+    if (signal?.aborted) throw fail(new Error('Aborted'));
+    if (call.error) {
+      const { message, ...fields } = call.error;
+      throw fail(Object.assign(new Error(message), fields));
+    }
+    return { rawOutput: output, stderr, code: call.exitCode ?? 0 };
+  }
+
+  unused() { return this.calls.filter((_, i) => !this._used.has(i)); }
+
+  reset() { this._used.clear(); }
+}
+
+export { Recorder, Replayer, ReplayError, loadFixtures, FIXTURE_VERSION };
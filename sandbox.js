@@ -0,0 +1,99 @@
+import { mkdtempSync, rmSync } from 'fs';
+import { rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+
+const SECRET_ENV_PATTERN = /TOKEN|SECRET|PASSWORD|PASSWD|CREDENTIAL|PRIVATE_KEY|API_?KEY|_KEY$|AUTH|DSN|DATABASE_URL/i;
+const AGENT_ENV_PATTERN = /^(ANTHROPIC|CLAUDE|OPENAI|CODEX|GEMINI|GOOGLE|KILO|KILOCODE|OPENCODE|OPENROUTER|AMP|GOOSE|AIDER)_/;
+const BASE_ENV = ['PATH', 'HOME', 'USER', 'LOGNAME', 'SHELL', 'LANG', 'LC_ALL', 'TERM', 'TMPDIR', 'TZ', 'XDG_CONFIG_HOME', 'XDG_DATA_HOME', 'XDG_CACHE_HOME', 'SYSTEMROOT', 'APPDATA', 'LOCALAPPDATA', 'USERPROFILE'];
+const WORKSPACE_MODES = ['session', 'call'];
+const DEFAULT_WORKSPACE_IDLE_MS = 3_600_000;
+
+function matchesName(patterns = [], name) {
+  return patterns.some(p => p instanceof RegExp ? p.test(name) : p.endsWith('*') ? name.startsWith(p.slice(0, -1)) : p === name);
+}
+
+function isSecretEnv(name) { return SECRET_ENV_PATTERN.test(name) && !AGENT_ENV_PATTERN.test(name); }
+
+function mergeEnvPolicy(...policies) {
+  const merged = {};
+  for (const p of policies.filter(Boolean)) {
+    if (p.allow) merged.allow = [...merged.allow || [], ...p.allow];
+    if (p.deny) merged.deny = [...merged.deny || [], ...p.deny];
+    if (p.set) merged.set = { ...merged.set, ...p.set };
+    if (p.stripSecrets !== undefined) merged.stripSecrets = p.stripSecrets;
+  }
+  return merged;
+}
+
+function buildEnv(policy = {}, source = process.env) {
+  const env = {};
+  for (const [name, value] of Object.entries(source)) {
+    if (value === undefined) continue;
+    const allowed = matchesName(policy.allow, name);
+    if (policy.allow && !allowed && !BASE_ENV.includes(name)) continue;
+    if (!allowed && policy.stripSecrets !== false && isSecretEnv(name)) continue;
+    if (matchesName(policy.deny, name)) continue;
+    env[name] = value;
+  }
+  return { ...env, ...policy.set };
+}
+
+class WorkspaceManager {
+  constructor(options = {}) {
+    this.root = options.root || tmpdir();
+    this.idleMs = options.idleMs ?? DEFAULT_WORKSPACE_IDLE_MS;
+    this._dirs = new Map();
+    this._used = new Map();
+    this._timer = null;
+  }
+
+  acquire(key) {
+    if (!this._dirs.has(key)) this._dirs.set(key, mkdtempSync(join(this.root, 'acpreact-')));
+    this._used.set(key, Date.now());
+    if (this.idleMs && !this._timer) {
+      this._timer = setInterval(() => this.prune(), Math.max(1000, Math.floor(this.idleMs / 2)));
+      this._timer.unref();
+    }
+    return this._dirs.get(key);
+  }
+
+  prune(now = Date.now()) {
+    const idle = [...this._used].filter(([key, at]) => !key.startsWith('job:') && now - at >= this.idleMs).map(([key]) => key);
+    return Promise.all(idle.map(key => this.release(key)));
+  }
+
+  has(key) { return this._dirs.has(key); }
+
+  async release(key) {
+    const dir = this._dirs.get(key);
+    if (!dir) return;
+    this._dirs.delete(key);
+    this._used.delete(key);
+    if (!this._dirs.size) this._stopTimer();
+    await rm(dir, { recursive: true, force: true });
+  }
+
+  releaseAll() {
+    for (const dir of this._dirs.values()) rmSync(dir, { recursive: true, force: true });
+    this._dirs.clear();
+    this._used.clear();
+    this._stopTimer();
+  }
+
+  _stopTimer() { clearInterval(this._timer); this._timer = null; }
+
+  list() { return Object.fromEntries(this._dirs); }
+}
+
+function sandboxFor(entry, options = {}, workspaces) {
+  const source = options.cwd || options.workspace ? options : entry.config || {};
+  let cwd;
+  if (source.workspace) {
+    if (!WORKSPACE_MODES.includes(source.workspace)) throw new Error(`Unknown workspace mode: ${source.workspace}. Available: ${WORKSPACE_MODES.join(', ')}`);
+    cwd = workspaces.acquire(source.workspace === 'session' && options.sessionId != null ? `session:${options.sessionId}` : options._jobId ? `job:${options._jobId}` : 'shared');
+  } else if (source.cwd) cwd = resolve(source.cwd);
+  return { cwd, env: buildEnv(mergeEnvPolicy(entry.config?.env, options.env)) };
+}
+
+export { WorkspaceManager, buildEnv, mergeEnvPolicy, isSecretEnv, sandboxFor, BASE_ENV, WORKSPACE_MODES, DEFAULT_WORKSPACE_IDLE_MS };
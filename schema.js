@@ -0,0 +1,88 @@
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'object': return typeOf(value) === 'object';
+    default: return typeOf(value) === type;
+  }
+}
+
+function validate(schema, value, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+  const fail = (keyword, message) => errors.push({ path, keyword, message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(t, value))) {
+      fail('type', `must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.some(v => JSON.stringify(v) === JSON.stringify(value)))
+    fail('enum', `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value))
+    fail('const', `must equal ${JSON.stringify(schema.const)}`);
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail('minLength', `must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail('maxLength', `must be at most ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) fail('pattern', `must match ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail('minItems', `must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail('maxItems', `must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: `${path}.${key}`, keyword: 'required', message: 'is required' });
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (key in properties) errors.push(...validate(properties[key], v, `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push({ path: `${path}.${key}`, keyword: 'additionalProperties', message: 'is not allowed' });
+      else if (typeof schema.additionalProperties === 'object') errors.push(...validate(schema.additionalProperties, v, `${path}.${key}`));
+    }
+  }
+
+  return errors;
+}
+
+class ToolValidationError extends Error {
+  constructor(toolName, errors) {
+    super(`Invalid params for ${toolName}: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+    this.name = 'ToolValidationError';
+    this.code = -32602;
+    this.tool = toolName;
+    this.errors = errors;
+  }
+}
+
+class StructuredOutputError extends Error {
+  constructor(message, { attempts, errors = [], output = '', result } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.attempts = attempts;
+    this.errors = errors;
+    this.output = output;
+    this.result = result;
+  }
+}
+
+export { validate, ToolValidationError, StructuredOutputError };
@@ -1,6 +1,22 @@
 import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { StateFile } from './state.js';
 
 const DEFAULT_COOLDOWN_MS = 60_000;
+const DEFAULT_CIRCUIT_THRESHOLD = 3;
+const DEFAULT_CIRCUIT_COOLDOWN_MS = 30_000;
+const DEFAULT_CIRCUIT_TRIAL_MS = 120_000;
+const DEFAULT_LATENCY_SAMPLES = 100;
+const DEFAULT_STATE_FLUSH_MS = 50;
+const STATE_VERSION = 1;
+const COUNTERS = ['successes', 'failures', 'rateLimits'];
+const USAGE_DAYS = 31;
+const PROMPT_ARGV_MAX = 100_000;
+const PROMPT_MODES = ['auto', 'argv', 'stdin', 'file'];
+const PROMPT_MARK = '\u0000prompt\u0000';
+const PROMPT_FILE_MARK = '\u0000promptFile\u0000';
 
 const RATE_LIMIT_PATTERNS = {
   common: [/\b429\b/, /rate.?limit/i, /quota.?exceeded/i, /too.?many.?requests/i],
@@ -16,10 +32,32 @@ const RATE_LIMIT_PATTERNS = {
 
 const RETRY_AFTER_PATTERN = /retry.?after[:\s]+(\d+)/i;
 
+const FAILURE_PATTERNS = {
+  auth: [/\b401\b/, /\b403\b/, /unauthori[sz]ed/i, /invalid.?api.?key/i, /authenticat(ion|e) (failed|error|required)/i, /not.?logged.?in/i, /please (log|sign).?in/i],
+  transient: [/ECONNRESET/, /ETIMEDOUT/, /ECONNREFUSED/, /EAI_AGAIN/, /EPIPE/, /socket hang up/i, /\b50[0234]\b/, /network error/i, /temporarily unavailable/i, /internal server error/i],
+};
+
+const FAILURE_KINDS = ['rate-limited', 'transient', 'timeout', 'auth', 'fatal'];
+
+const quoteArg = (a) => /[\s"]/.test(a) ? JSON.stringify(a) : a;
+
+const MCP_ARG_BUILDERS = {
+  claude: (server) => ['--mcp-config', JSON.stringify({ mcpServers: { acpreact: server } }), '--allowedTools', 'mcp__acpreact'],
+  goose: (server) => ['--with-extension', [server.command, ...server.args].map(quoteArg).join(' ')],
+  codex: (server) => ['-c', `mcp_servers.acpreact.command=${JSON.stringify(server.command)}`, '-c', `mcp_servers.acpreact.args=${JSON.stringify(server.args)}`],
+};
+
+function supportsMCP(entry) {
+  const config = entry.config || {};
+  if (config.mcp !== undefined) return config.mcp;
+  return entry.name in MCP_ARG_BUILDERS && !config.buildArgs && !config.args && config.transport !== 'acp';
+}
+
 const BUILTIN_ARG_BUILDERS = {
   claude: (prompt, options) => {
-    const args = ['--print'];
+    const args = ['--print', '--output-format', 'stream-json', '--verbose'];
     if (options?.model) args.push('--model', options.model);
+    if (options?._mcpServer) args.push(...MCP_ARG_BUILDERS.claude(options._mcpServer));
     args.push(prompt);
     return args;
   },
@@ -36,9 +74,9 @@ const BUILTIN_ARG_BUILDERS = {
     return args;
   },
   gemini: (prompt, options) => {
-    const args = ['run'];
+    const args = ['--output-format', 'stream-json'];
     if (options?.model) args.push('--model', options.model);
-    args.push(prompt);
+    args.push('--prompt', prompt);
     return args;
   },
   aider: (prompt, options) => {
@@ -47,24 +85,33 @@ const BUILTIN_ARG_BUILDERS = {
     return args;
   },
   codex: (prompt, options) => {
-    const args = [];
+    const args = ['exec', '--json'];
     if (options?.model) args.push('--model', options.model);
+    if (options?._mcpServer) args.push(...MCP_ARG_BUILDERS.codex(options._mcpServer));
     args.push(prompt);
     return args;
   },
   goose: (prompt, options) => {
     const args = ['run', '--text', prompt];
     if (options?.model) args.push('--provider', options.model);
+    if (options?._mcpServer) args.push(...MCP_ARG_BUILDERS.goose(options._mcpServer));
     return args;
   },
   amp: (prompt, options) => {
-    const args = ['run'];
+    const args = ['--stream-json'];
     if (options?.model) args.push('--model', options.model);
-    args.push(prompt);
+    args.push('--execute', prompt);
     return args;
   },
 };
 
+const PROMPT_INPUTS = {
+  claude: { stdin: [] },
+  codex: { stdin: ['-'] },
+  aider: { flag: '--message', file: (path) => ['--message-file', path] },
+  goose: { flag: '--text', stdin: ['--instructions', '-'], file: (path) => ['--instructions', path] },
+};
+
 function buildArgs(name, prompt, options) {
   const builder = BUILTIN_ARG_BUILDERS[name];
   if (builder) return builder(prompt, options);
@@ -74,12 +121,55 @@ function buildArgs(name, prompt, options) {
   return args;
 }
 
-function isRateLimited(name, output = '', stderr = '') {
+function templateArgs(template, prompt, options) {
+  const args = [];
+  for (const arg of template) {
+    if (arg === '{model}' && !options?.model) {
+      if (args[args.length - 1]?.startsWith('-')) args.pop();
+      continue;
+    }
+    args.push(arg.replace(/\{prompt\}/g, () => prompt).replace(/\{promptFile\}/g, PROMPT_FILE_MARK).replace(/\{model\}/g, () => options?.model ?? ''));
+  }
+  return template.some(a => a.includes('{prompt}') || a.includes('{promptFile}')) ? args : [...args, prompt];
+}
+
+function promptInput(entry, args) {
+  if (args.some(a => a.includes(PROMPT_FILE_MARK))) return { file: () => [] };
+  if (entry.config?.buildArgs || entry.config?.args) return { stdin: [] };
+  return PROMPT_INPUTS[entry.name] || {};
+}
+
+function commandFor(entry, prompt, options) {
+  if (typeof prompt === 'function') prompt = prompt(entry);
+  options = { ...options, model: options?.model ?? entry.config?.model };
+  const template = entry.config?.buildArgs ? entry.config.buildArgs(PROMPT_MARK, options)
+    : entry.config?.args ? templateArgs(entry.config.args, PROMPT_MARK, options)
+    : buildArgs(entry.name, PROMPT_MARK, options);
+  const binary = entry.config?.binary || entry.name;
+  const input = promptInput(entry, template);
+  let via = options.promptVia ?? entry.config?.promptVia ?? 'auto';
+  if (!PROMPT_MODES.includes(via)) throw new Error(`Unknown promptVia: ${via}. Available: ${PROMPT_MODES.join(', ')}`);
+  if (template.some(a => a.includes(PROMPT_FILE_MARK))) via = 'file';
+  else if (via === 'auto') via = Buffer.byteLength(prompt) <= PROMPT_ARGV_MAX ? 'argv' : input.stdin ? 'stdin' : input.file ? 'file' : 'argv';
+  if (via === 'argv') return { binary, args: template.map(a => a.replaceAll(PROMPT_MARK, prompt)) };
+
+  if (!input[via]) throw new Error(`${entry.name} cannot read the prompt from ${via}`);
+  const at = template.indexOf(PROMPT_MARK);
+  const args = template.filter((a, i) => a !== PROMPT_MARK && !(input.flag && i === at - 1 && a === input.flag));
+  if (args.some(a => a.includes(PROMPT_MARK))) throw new Error(`${entry.name} cannot read the prompt from ${via}: it is embedded in an argument`);
+  if (via === 'stdin') return { binary, args: [...args, ...input.stdin], input: { via, text: prompt } };
+  const path = join(tmpdir(), `acpreact-prompt-${randomUUID()}.txt`);
+  return { binary, args: [...args.map(a => a.replaceAll(PROMPT_FILE_MARK, path)), ...input.file(path)], input: { via, text: prompt, path } };
+}
+
+function matchesRule(rule, text, ctx) { return typeof rule === 'function' ? !!rule(ctx) : rule.test(text); }
+
+function isRateLimited(name, output = '', stderr = '', rules = []) {
   const combined = `${output}\n${stderr}`;
-  const patterns = [...RATE_LIMIT_PATTERNS.common, ...(RATE_LIMIT_PATTERNS[name] || [])];
+  const patterns = [...RATE_LIMIT_PATTERNS.common, ...(RATE_LIMIT_PATTERNS[name] || []), ...rules];
   let rateLimited = false, retryAfterMs;
   for (const pattern of patterns) {
-    if (pattern.test(combined)) { rateLimited = true; break; }
+    if (matchesRule(pattern, combined, { name, output, stderr })) { rateLimited = true; break; }
   }
   if (rateLimited) {
     const match = combined.match(RETRY_AFTER_PATTERN);
@@ -88,42 +178,390 @@ function isRateLimited(name, output = '', stderr = '') {
   return retryAfterMs !== undefined ? { rateLimited, retryAfterMs } : { rateLimited };
 }
 
+function mergeRules(...sets) {
+  const merged = {};
+  for (const set of sets) for (const [kind, rules] of Object.entries(set || {})) merged[kind] = [...(merged[kind] || []), ...rules];
+  return merged;
+}
+
+function classifyFailure(name, { output = '', stderr = '', error, agentError } = {}, rules = {}) {
+  const ctx = { name, output, stderr, error, agentError };
+  const text = `${agentError ?? output}\n${stderr}\n${error?.message ?? ''}`;
+  const hit = (list = []) => list.some(rule => matchesRule(rule, text, ctx));
+  if (hit(rules.fatal)) return { kind: 'fatal' };
+  const rl = isRateLimited(name, agentError ?? output, `${stderr}\n${error?.message ?? ''}`, rules.rateLimited);
+  if (rl.rateLimited) return { kind: 'rate-limited', ...(rl.retryAfterMs !== undefined && { retryAfterMs: rl.retryAfterMs }) };
+  if (hit(rules.auth) || hit(FAILURE_PATTERNS.auth)) return { kind: 'auth' };
+  if (error?.timeout) return { kind: 'timeout' };
+  if (hit(rules.transient) || hit(FAILURE_PATTERNS.transient)) return { kind: 'transient' };
+  return { kind: 'fatal' };
+}
+
+function usageDay(time = Date.now()) { return new Date(time).toISOString().slice(0, 10); }
+
+function addUsage(into, usage = {}) {
+  for (const [k, v] of Object.entries(usage || {})) if (typeof v === 'number' && Number.isFinite(v)) into[k] = (into[k] ?? 0) + v;
+  return into;
+}
+
+function mergeUsage(into, days = {}) {
+  for (const [day, usage] of Object.entries(days)) addUsage(into[day] ||= {}, usage);
+  for (const day of Object.keys(into).sort().slice(0, -USAGE_DAYS)) delete into[day];
+  return into;
+}
+
+function overBudget(budget, used = {}) {
+  if (!budget) return null;
+  const tokens = (used.inputTokens ?? 0) + (used.outputTokens ?? 0);
+  if (budget.dailyCalls != null && (used.calls ?? 0) >= budget.dailyCalls) return { limit: 'dailyCalls', max: budget.dailyCalls, value: used.calls ?? 0 };
+  if (budget.dailyCostUsd != null && (used.costUsd ?? 0) >= budget.dailyCostUsd) return { limit: 'dailyCostUsd', max: budget.dailyCostUsd, value: used.costUsd ?? 0 };
+  if (budget.dailyTokens != null && tokens >= budget.dailyTokens) return { limit: 'dailyTokens', max: budget.dailyTokens, value: tokens };
+  return null;
+}
+
 function createServiceStack(configs) {
   return configs.map(cfg => ({ name: cfg.cli || cfg.name, profileId: cfg.profile ?? '__default__', config: cfg }));
 }
 
+function percentile(sorted, q) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.max(0, Math.ceil(q * sorted.length) - 1)];
+}
+
+function weightedOrder(services) {
+  const pool = services.map(s => ({ s, w: Math.max(0, s.config?.weight ?? 1) }));
+  const out = [];
+  while (pool.length) {
+    const total = pool.reduce((sum, p) => sum + p.w, 0);
+    let r = Math.random() * total, i = 0;
+    if (total > 0) while (i < pool.length - 1 && (r -= pool[i].w) >= 0) i++;
+    out.push(pool.splice(i, 1)[0].s);
+  }
+  return out;
+}
+
+const ROUTING_STRATEGIES = {
+  priority: (services) => [...services].sort((a, b) => (a.config?.priority ?? 0) - (b.config?.priority ?? 0)),
+  'round-robin': (services, registry) => {
+    if (services.length === 0) return services;
+    const start = registry._rrIndex++ % services.length;
+    return [...services.slice(start), ...services.slice(0, start)];
+  },
+  weighted: (services) => weightedOrder(services),
+  'least-recent-failure': (services, registry) => [...services].sort((a, b) =>
+    (registry.getStats(a.name, a.profileId).lastFailureAt ?? 0) - (registry.getStats(b.name, b.profileId).lastFailureAt ?? 0)),
+  latency: (services, registry) => [...services].sort((a, b) =>
+    (registry.getStats(a.name, a.profileId).p50 ?? -1) - (registry.getStats(b.name, b.profileId).p50 ?? -1)),
+};
+
 class ServiceRegistry extends EventEmitter {
-  constructor() { super(); this._services = []; this._cooldowns = new Map(); }
+  constructor(options = {}) {
+    super();
+    this._services = [];
+    this._cooldowns = new Map();
+    this._stats = new Map();
+    this._circuits = new Map();
+    this._usage = new Map();
+    this._budgetNotified = new Map();
+    this._rrIndex = 0;
+    this.strategy = options.strategy || 'priority';
+    this.circuitThreshold = options.circuitThreshold ?? DEFAULT_CIRCUIT_THRESHOLD;
+    this.circuitCooldownMs = options.circuitCooldownMs ?? DEFAULT_CIRCUIT_COOLDOWN_MS;
+    this.circuitTrialMs = options.circuitTrialMs ?? DEFAULT_CIRCUIT_TRIAL_MS;
+    this.latencySamples = options.latencySamples ?? DEFAULT_LATENCY_SAMPLES;
+    this._state = options.stateFile ? new StateFile(options.stateFile) : null;
+    this._stateMtime = 0;
+    this.stateFlushMs = options.stateFlushMs ?? DEFAULT_STATE_FLUSH_MS;
+    this._pending = new Map();
+    this._pendingUsage = new Map();
+    this._dirty = new Set();
+    this._writing = new Set();
+    this._clears = [];
+    this._flushTimer = null;
+    this._writes = Promise.resolve();
+    if (this._state) this._load();
+  }
 
   _key(name, profileId) { return `${name}::${profileId ?? '__default__'}`; }
 
+  _statAt(key) {
+    if (!this._stats.has(key)) this._stats.set(key, { successes: 0, failures: 0, rateLimits: 0, consecutiveFailures: 0, lastSuccessAt: null, lastFailureAt: null, latencies: [] });
+    return this._stats.get(key);
+  }
+
+  _stat(name, profileId) { return this._statAt(this._key(name, profileId)); }
+
+  _count(key, counter) {
+    this._statAt(key)[counter]++;
+    if (!this._state) return;
+    const pending = this._pending.get(key) || {};
+    pending[counter] = (pending[counter] ?? 0) + 1;
+    this._pending.set(key, pending);
+  }
+
+  _applySaved(key, saved) {
+    if (saved.cooldownUntil != null) this._cooldowns.set(key, saved.cooldownUntil); else this._cooldowns.delete(key);
+    if (saved.circuit) this._circuits.set(key, { ...saved.circuit }); else this._circuits.delete(key);
+    const stat = this._statAt(key);
+    const pending = this._pending.get(key) || {};
+    for (const c of COUNTERS) stat[c] = (saved.counters?.[c] ?? 0) + (pending[c] ?? 0);
+    stat.consecutiveFailures = saved.consecutiveFailures ?? 0;
+    stat.lastSuccessAt = saved.lastSuccessAt ?? null;
+    stat.lastFailureAt = saved.lastFailureAt ?? null;
+    this._usage.set(key, mergeUsage(mergeUsage({}, saved.usage), this._pendingUsage.get(key)));
+  }
+
+  _load() {
+    this._stateMtime = this._state.mtime();
+    const services = this._state.read().services || {};
+    const keys = new Set([...Object.keys(services), ...this._cooldowns.keys(), ...this._circuits.keys(), ...this._stats.keys(), ...this._usage.keys()]);
+    for (const key of keys) if (!this._unsaved(key)) this._applySaved(key, services[key] || {});
+  }
+
+  _unsaved(key) {
+    return this._dirty.has(key) || this._writing.has(key) || this._clears.includes(key) || this._clears.includes(null);
+  }
+
+  _sync() { if (this._state && this._state.mtime() !== this._stateMtime) this._load(); }
+
+  _persist(key) {
+    if (!this._state) return;
+    this._dirty.add(key);
+    this._flushTimer ??= setTimeout(() => {
+      this._flushTimer = null;
+      this.flush().catch((error) => this.emit('state-error', { path: this._state.path, error }));
+    }, this.stateFlushMs);
+  }
+
+  flush() {
+    if (!this._state) return Promise.resolve();
+    clearTimeout(this._flushTimer);
+    this._flushTimer = null;
+    this._writes = this._writes.catch(() => {}).then(() => this._write());
+    return this._writes;
+  }
+
+  async _write() {
+    const keys = [...this._dirty], clears = this._clears.splice(0);
+    if (!keys.length && !clears.length) return;
+    this._dirty.clear();
+    const pending = new Map(keys.map(key => [key, { counters: this._pending.get(key) || {}, usage: this._pendingUsage.get(key) }]));
+    for (const key of keys) { this._pending.delete(key); this._pendingUsage.delete(key); this._writing.add(key); }
+    let data;
+    try {
+      data = await this._state.update((data) => {
+        data.version = STATE_VERSION;
+        data.services ||= {};
+        for (const key of clears) if (key === null) data.services = {}; else delete data.services[key];
+        for (const [key, { counters: added, usage }] of pending) {
+          const stat = this._statAt(key);
+          const counters = {};
+          for (const c of COUNTERS) counters[c] = (data.services[key]?.counters?.[c] ?? 0) + (added[c] ?? 0);
+          data.services[key] = {
+            cooldownUntil: this._cooldowns.get(key) ?? null,
+            circuit: this._circuits.get(key) ?? null,
+            counters,
+            consecutiveFailures: stat.consecutiveFailures,
+            lastSuccessAt: stat.lastSuccessAt,
+            lastFailureAt: stat.lastFailureAt,
+            usage: mergeUsage(data.services[key]?.usage || {}, usage),
+          };
+        }
+      });
+    } catch (err) {
+      for (const [key, { counters, usage }] of pending) {
+        const later = this._pending.get(key) || {};
+        for (const c of COUNTERS) if (counters[c] || later[c]) later[c] = (counters[c] ?? 0) + (later[c] ?? 0);
+        this._pending.set(key, later);
+        if (usage) this._pendingUsage.set(key, mergeUsage(usage, this._pendingUsage.get(key)));
+        this._dirty.add(key);
+      }
+      this._clears.unshift(...clears);
+      throw err;
+    } finally {
+      for (const key of keys) this._writing.delete(key);
+    }
+    for (const key of keys) {
+      const stat = this._statAt(key), saved = data.services[key], later = this._pending.get(key) || {};
+      for (const c of COUNTERS) stat[c] = saved.counters[c] + (later[c] ?? 0);
+      this._usage.set(key, mergeUsage(mergeUsage({}, saved.usage), this._pendingUsage.get(key)));
+    }
+    for (const [other, saved] of Object.entries(data.services)) if (!pending.has(other) && !this._unsaved(other)) this._applySaved(other, saved);
+    this._stateMtime = this._state.mtime();
+  }
+
   registerService(name, config = {}) {
     const profileId = config.profile ?? '__default__';
     const idx = this._services.findIndex(s => s.name === name && s.profileId === profileId);
     const entry = { name, profileId, config };
-    if (idx >= 0) this._services[idx] = entry; else this._services.push(entry);
-    this._cooldowns.delete(this._key(name, profileId));
+    if (idx >= 0) { this._services[idx] = entry; this.clearCooldown(name, profileId); } else this._services.push(entry);
     return this;
   }
 
   markRateLimited(name, profileId, cooldownMs = DEFAULT_COOLDOWN_MS) {
     const key = this._key(name, profileId ?? '__default__');
     this._cooldowns.set(key, cooldownMs === 0 ? 0 : Date.now() + cooldownMs);
+    this._count(key, 'rateLimits');
+    this._persist(key);
     this.emit('rate-limited', { name, profileId, cooldownMs });
   }
 
-  clearCooldown(name, profileId) { this._cooldowns.delete(this._key(name, profileId ?? '__default__')); }
+  clearCooldown(name, profileId) {
+    const key = this._key(name, profileId ?? '__default__');
+    this._cooldowns.delete(key);
+    this._persist(key);
+  }
+
+  _recordLatency(stat, latencyMs) {
+    if (latencyMs === undefined) return;
+    stat.latencies.push(latencyMs);
+    if (stat.latencies.length > this.latencySamples) stat.latencies.shift();
+  }
+
+  recordSuccess(name, profileId, latencyMs) {
+    const key = this._key(name, profileId);
+    const stat = this._statAt(key);
+    this._count(key, 'successes');
+    stat.consecutiveFailures = 0; stat.lastSuccessAt = Date.now();
+    this._recordLatency(stat, latencyMs);
+    const closed = this._circuits.delete(key);
+    this._persist(key);
+    if (closed) this.emit('circuit-close', { name, profileId });
+  }
+
+  recordFailure(name, profileId, { latencyMs, error } = {}) {
+    const key = this._key(name, profileId);
+    const stat = this._statAt(key);
+    this._count(key, 'failures');
+    stat.consecutiveFailures++; stat.lastFailureAt = Date.now();
+    this._recordLatency(stat, latencyMs);
+    const circuit = this._circuits.get(key);
+    const opens = circuit?.halfOpen || (!circuit && stat.consecutiveFailures >= this.circuitThreshold);
+    if (opens) this._circuits.set(key, { until: Date.now() + this.circuitCooldownMs, halfOpen: false });
+    this._persist(key);
+    if (opens) this.emit('circuit-open', { name, profileId, until: this._circuits.get(key).until, consecutiveFailures: stat.consecutiveFailures, error });
+  }
+
+  recordUsage(name, profileId, usage = {}) {
+    const key = this._key(name, profileId);
+    const days = { [usageDay()]: addUsage({ calls: 1 }, usage) };
+    this._usage.set(key, mergeUsage(this._usage.get(key) || {}, days));
+    if (this._state) this._pendingUsage.set(key, mergeUsage(this._pendingUsage.get(key) || {}, days));
+    this._persist(key);
+    this.budgetState(name, profileId);
+  }
+
+  getUsage(name, profileId, day = usageDay()) {
+    this._sync();
+    return { calls: 0, ...this._usage.get(this._key(name, profileId))?.[day] };
+  }
+
+  _overBudget(name, profileId, day = usageDay()) {
+    const key = this._key(name, profileId ?? '__default__');
+    const service = this._services.find(s => this._key(s.name, s.profileId) === key);
+    return overBudget(service?.config?.budget, this.getUsage(name, profileId, day));
+  }
+
+  budgetState(name, profileId) {
+    const key = this._key(name, profileId ?? '__default__');
+    const day = usageDay();
+    const exceeded = this._overBudget(name, profileId, day);
+    if (exceeded && this._budgetNotified.get(key) !== day) {
+      this._budgetNotified.set(key, day);
+      this.emit('budget-exceeded', { name, profileId, day, ...exceeded });
+    }
+    return exceeded;
+  }
+
+  circuitState(name, profileId) {
+    this._sync();
+    const circuit = this._circuits.get(this._key(name, profileId));
+    if (!circuit) return 'closed';
+    if (circuit.halfOpen || Date.now() >= circuit.until) return 'half-open';
+    return 'open';
+  }
+
+  resetCircuit(name, profileId) {
+    const key = this._key(name, profileId);
+    this._circuits.delete(key);
+    this._statAt(key).consecutiveFailures = 0;
+    this._persist(key);
+  }
+
+  getState() {
+    this._sync();
+    const keys = new Set([...this._cooldowns.keys(), ...this._circuits.keys(), ...this._stats.keys(), ...this._usage.keys()]);
+    const services = {};
+    for (const key of keys) {
+      const { latencies, ...stat } = this._statAt(key);
+      services[key] = { cooldownUntil: this._cooldowns.get(key) ?? null, circuit: this._circuits.get(key) ?? null, ...stat, usage: this._usage.get(key) ?? {} };
+    }
+    return { stateFile: this._state?.path ?? null, services };
+  }
+
+  clearState(name, profileId) {
+    const key = name === undefined ? null : this._key(name, profileId);
+    for (const map of [this._cooldowns, this._circuits, this._stats, this._pending, this._usage, this._pendingUsage, this._budgetNotified, this._dirty]) {
+      if (key) map.delete(key); else map.clear();
+    }
+    this.emit('state-cleared', { name, profileId });
+    if (!this._state) return Promise.resolve();
+    this._clears.push(key);
+    return this.flush();
+  }
+
+  getStats(name, profileId) {
+    this._sync();
+    const stat = this._stat(name, profileId);
+    const sorted = [...stat.latencies].sort((a, b) => a - b);
+    const { latencies, ...counts } = stat;
+    return { ...counts, p50: percentile(sorted, 0.5), p95: percentile(sorted, 0.95), circuit: this.circuitState(name, profileId) };
+  }
+
+  getAllStats() {
+    return this._services.map(s => ({
+      name: s.name,
+      profileId: s.profileId,
+      available: this.isAvailable(s.name, s.profileId),
+      ...this.getStats(s.name, s.profileId),
+      usage: this.getUsage(s.name, s.profileId),
+      budget: this._overBudget(s.name, s.profileId),
+    }));
+  }
 
   isAvailable(name, profileId) {
+    this._sync();
     const key = this._key(name, profileId ?? '__default__');
-    if (!this._cooldowns.has(key)) return true;
+    if (this._overBudget(name, profileId)) return false;
+    const now = Date.now(), circuit = this._circuits.get(key);
+    if (circuit && now < (circuit.halfOpen ? circuit.trialUntil ?? 0 : circuit.until)) return false;
     const expiry = this._cooldowns.get(key);
-    if (expiry === 0 || Date.now() >= expiry) { this._cooldowns.delete(key); return true; }
-    return false;
+    return expiry === undefined || expiry === 0 || now >= expiry;
+  }
+
+  beginAttempt(name, profileId) {
+    if (!this.isAvailable(name, profileId)) return false;
+    const key = this._key(name, profileId ?? '__default__');
+    const circuit = this._circuits.get(key);
+    if (circuit) {
+      this._circuits.set(key, { ...circuit, halfOpen: true, trialUntil: Date.now() + this.circuitTrialMs });
+      this._persist(key);
+    }
+    return true;
+  }
+
+  getAvailable(filter) {
+    const available = this._services.filter(s => (!filter || filter(s)) && this.isAvailable(s.name, s.profileId));
+    for (const s of available) {
+      const key = this._key(s.name, s.profileId);
+      if (this._cooldowns.delete(key)) this._persist(key);
+    }
+    const strategy = typeof this.strategy === 'function' ? this.strategy : ROUTING_STRATEGIES[this.strategy];
+    if (!strategy) throw new Error(`Unknown routing strategy: ${this.strategy}. Available: ${Object.keys(ROUTING_STRATEGIES).join(', ')}`);
+    return strategy(available, this);
   }
 
-  getAvailable() { return this._services.filter(s => this.isAvailable(s.name, s.profileId)); }
   getAll() { return [...this._services]; }
 }
 
-export { ServiceRegistry, isRateLimited, createServiceStack, buildArgs, DEFAULT_COOLDOWN_MS, BUILTIN_ARG_BUILDERS };
+export { ServiceRegistry, ROUTING_STRATEGIES, DEFAULT_STATE_FLUSH_MS, isRateLimited, classifyFailure, mergeRules, FAILURE_PATTERNS, FAILURE_KINDS, createServiceStack, usageDay, buildArgs, templateArgs, commandFor, supportsMCP, DEFAULT_COOLDOWN_MS, PROMPT_MODES, BUILTIN_ARG_BUILDERS, MCP_ARG_BUILDERS };
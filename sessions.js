@@ -0,0 +1,104 @@
+import { EventEmitter } from 'events';
+import { readFile } from 'fs/promises';
+import { writeFileAtomic } from './files.js';
+
+const DEFAULT_HISTORY_CHARS = 8_000;
+const DEFAULT_MAX_MESSAGES = 200;
+
+function newSession(id) {
+  const now = new Date().toISOString();
+  return { id, messages: [], summary: '', createdAt: now, updatedAt: now };
+}
+
+function formatMessage(m) { return `${m.role}: ${m.content}`; }
+
+function fitHistory(messages, budget) {
+  let used = 0, i = messages.length;
+  while (i > 0) {
+    const len = formatMessage(messages[i - 1]).length + 1;
+    if (used + len > budget) break;
+    used += len; i--;
+  }
+  return { kept: messages.slice(i), dropped: messages.slice(0, i) };
+}
+
+function formatHistory(summary, messages) {
+  if (!summary && messages.length === 0) return '';
+  let out = 'Conversation so far:\n';
+  if (summary) out += `[summary of earlier conversation]\n${summary}\n`;
+  for (const m of messages) out += `${formatMessage(m)}\n`;
+  return out.trimEnd();
+}
+
+class MemorySessionStore {
+  constructor() { this._sessions = new Map(); }
+  async load(id) { return this._sessions.get(id) ?? null; }
+  async save(id, session) { this._sessions.set(id, session); }
+  async delete(id) { this._sessions.delete(id); }
+  async list() { return [...this._sessions.keys()]; }
+}
+
+class FileSessionStore {
+  constructor(path) { this.path = path; this._data = null; this._writes = Promise.resolve(); }
+
+  async _read() {
+    if (this._data) return this._data;
+    try { this._data = JSON.parse(await readFile(this.path, 'utf8')); }
+    catch (e) { if (e.code !== 'ENOENT') throw e; this._data = {}; }
+    return this._data;
+  }
+
+  _flush() {
+    const json = JSON.stringify(this._data, null, 2);
+    this._writes = this._writes.catch(() => {}).then(() => writeFileAtomic(this.path, json));
+    return this._writes;
+  }
+
+  async load(id) { return (await this._read())[id] ?? null; }
+  async save(id, session) { (await this._read())[id] = session; await this._flush(); }
+  async delete(id) { delete (await this._read())[id]; await this._flush(); }
+  async list() { return Object.keys(await this._read()); }
+}
+
+class SessionManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.store = options.store || new MemorySessionStore();
+    this.maxHistoryChars = options.maxHistoryChars ?? DEFAULT_HISTORY_CHARS;
+    this.maxMessages = options.maxMessages ?? DEFAULT_MAX_MESSAGES;
+    this.strategy = options.strategy || 'truncate';
+    this.summarize = options.summarize || null;
+  }
+
+  async get(id) { return (await this.store.load(id)) || newSession(id); }
+
+  async append(id, ...messages) {
+    const session = await this.get(id);
+    const timestamp = new Date().toISOString();
+    for (const m of messages) session.messages.push({ timestamp, ...m });
+    if (session.messages.length > this.maxMessages) session.messages = session.messages.slice(-this.maxMessages);
+    session.updatedAt = timestamp;
+    await this.store.save(id, session);
+    this.emit('update', session);
+    return session;
+  }
+
+  async buildContext(id) {
+    const session = await this.get(id);
+    const budget = Math.max(Math.floor(this.maxHistoryChars / 2), this.maxHistoryChars - session.summary.length);
+    const { kept, dropped } = fitHistory(session.messages, budget);
+    if (dropped.length && this.strategy === 'summarize' && this.summarize) {
+      session.summary = String(await this.summarize(dropped, session.summary, { id })).trim();
+      session.messages = kept;
+      session.updatedAt = new Date().toISOString();
+      await this.store.save(id, session);
+      this.emit('summarized', { id, dropped: dropped.length, summary: session.summary });
+    }
+    return formatHistory(session.summary, kept);
+  }
+
+  async clear(id) { await this.store.delete(id); this.emit('clear', { id }); }
+  list() { return this.store.list(); }
+}
+
+export { SessionManager, MemorySessionStore, FileSessionStore, DEFAULT_HISTORY_CHARS };
@@ -0,0 +1,73 @@
+import { readFileSync, statSync } from 'fs';
+import { readFile, open, unlink, stat, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+import { writeFileAtomic } from './files.js';
+
+const LOCK_STALE_MS = 10_000;
+const LOCK_TIMEOUT_MS = 5_000;
+const LOCK_RETRY_MS = 10;
+const LOCK_MAX_RETRY_MS = 200;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function parseState(text) {
+  try { return JSON.parse(text); } catch (e) {
+    if (e instanceof SyntaxError) return {};
+    throw e;
+  }
+}
+
+class StateFile {
+  constructor(path) {
+    this.path = path;
+    this.lockPath = `${path}.lock`;
+  }
+
+  mtime() {
+    try { return statSync(this.path).mtimeMs; } catch { return 0; }
+  }
+
+  read() {
+    try { return parseState(readFileSync(this.path, 'utf8')); }
+    catch (e) {
+      if (e.code === 'ENOENT') return {};
+      throw e;
+    }
+  }
+
+  async _read() {
+    try { return parseState(await readFile(this.path, 'utf8')); }
+    catch (e) {
+      if (e.code === 'ENOENT') return {};
+      throw e;
+    }
+  }
+
+  async _lock() {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    await mkdir(dirname(this.path), { recursive: true });
+    for (let delay = LOCK_RETRY_MS; ; delay = Math.min(delay * 2, LOCK_MAX_RETRY_MS)) {
+      try { await (await open(this.lockPath, 'wx')).close(); return; }
+      catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+        try { if (Date.now() - (await stat(this.lockPath)).mtimeMs > LOCK_STALE_MS) await unlink(this.lockPath); } catch {}
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for lock on ${this.path}`);
+        await sleep(delay * (0.5 + Math.random() / 2));
+      }
+    }
+  }
+
+  async _unlock() { try { await unlink(this.lockPath); } catch {} }
+
+  async update(fn) {
+    await this._lock();
+    try {
+      const data = await this._read();
+      fn(data);
+      await writeFileAtomic(this.path, JSON.stringify(data, null, 2));
+      return data;
+    } finally { await this._unlock(); }
+  }
+}
+
+export { StateFile };
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitMessage, createAdapter, createChatApproval } from '../adapters.js';
+import { createDaemon } from '../daemon.js';
+
+const isFence = (line) => /^```/.test(line);
+
+function emptyBlocks(chunk) {
+  const lines = chunk.split('\n');
+  let open = false, count = 0;
+  lines.forEach((line, i) => {
+    if (!isFence(line)) return;
+    if (!open && i + 1 < lines.length && /^```\s*$/.test(lines[i + 1])) count++;
+    open = !open;
+  });
+  return count;
+}
+
+test('splitMessage keeps chunks within the limit and fences balanced', () => {
+  const text = 'intro line\n```js\nconst a = 1;\nconst b = 2;\n```\nafter text here';
+  for (let limit = 12; limit <= 60; limit++) {
+    const chunks = splitMessage(text, limit);
+    for (const chunk of chunks) {
+      assert.ok(chunk.length <= limit, `limit ${limit}: ${JSON.stringify(chunk)}`);
+      assert.equal(chunk.split('\n').filter(isFence).length % 2, 0, `limit ${limit}: ${JSON.stringify(chunk)}`);
+    }
+    const content = (s) => s.split('\n').filter(l => !isFence(l)).join('');
+    assert.equal(content(chunks.join('\n')), content(text), `limit ${limit}`);
+  }
+});
+
+test('splitMessage never leaves an empty code block at a chunk boundary', () => {
+  const text = 'intro line\n```js\nconst a = 1;\nconst b = 2;\n```\nafter text here';
+  for (let limit = 12; limit <= 60; limit++) {
+    for (const chunk of splitMessage(text, limit)) assert.equal(emptyBlocks(chunk), 0, `limit ${limit}: ${JSON.stringify(chunk)}`);
+  }
+  assert.deepEqual(splitMessage(text, 22), ['intro line', '```js\nconst a = 1;\n```', '```js\nconst b = 2;\n```', 'after text here']);
+});
+
+test('splitMessage returns short text unchanged', () => {
+  assert.deepEqual(splitMessage('hello', 2000), ['hello']);
+});
+
+let port = 38_000 + (process.pid % 1000) * 10;
+
+async function startWebhook(t, reply, config = {}) {
+  const acp = { close() {}, registry: { flush: async () => {} } };
+  const url = `http://127.0.0.1:${++port}/`;
+  const daemon = createDaemon(acp, [{ type: 'webhook', port, replyTimeoutMs: 2000, ...config }], { process: reply });
+  await daemon.start();
+  t.after(() => daemon.stop());
+  return (body) => fetch(url, { method: 'POST', body: typeof body === 'string' ? body : JSON.stringify(body) })
+    .then(async (r) => ({ status: r.status, body: await r.json() }));
+}
+
+test('webhook answers each request with the agent reply', async (t) => {
+  const post = await startWebhook(t, async (text, options) => ({ text: `echo ${text} (${options.sessionId})` }));
+  const res = await post({ content: 'hi', channelId: 'c1' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.text, 'echo hi (webhook:c1)');
+});
+
+test('webhook answers an empty agent reply instead of timing out', async (t) => {
+  const post = await startWebhook(t, async () => ({ text: '', rawOutput: '' }));
+  const res = await post({ content: 'hi' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.text, '');
+});
+
+test('webhook never hands a timed-out request\'s reply to another caller', async (t) => {
+  const post = await startWebhook(t, async (text) => {
+    if (text.includes('secret')) await new Promise(r => setTimeout(r, 600));
+    return { text: `answer for: ${text}` };
+  }, { replyTimeoutMs: 400 });
+  assert.equal((await post({ content: 'alice secret question' })).status, 504);
+  const res = await post({ content: 'bob question' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.text, 'answer for: bob question');
+});
+
+test('webhook runs skip chat approval so prompts never take a held response', async (t) => {
+  const post = await startWebhook(t, async (text, options) => ({ text: `${text}: approve ${typeof options.approve}` }));
+  const res = await post({ content: 'yes' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.text, 'yes: approve undefined');
+});
+
+test('webhook rejects non-object bodies and unlisted callback URLs', async (t) => {
+  const post = await startWebhook(t, async () => ({ text: 'unused' }), { allowedCallbackUrls: ['https://example.test/hook'] });
+  for (const body of ['null', '[1]', '"text"', 'not json']) assert.equal((await post(body)).status, 400, body);
+  const res = await post({ content: 'hi', callbackUrl: 'http://169.254.169.254/latest' });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /callbackUrl/);
+});
+
+test('webhook reports agent failures with an error status', async (t) => {
+  const post = await startWebhook(t, async () => { throw Object.assign(new Error('All services exhausted'), { status: 503 }); });
+  const res = await post({ content: 'hi' });
+  assert.equal(res.status, 503);
+  assert.equal(res.body.error, 'All services exhausted');
+});
+
+test('chat approval only settles on the requesting author\'s yes or no', async () => {
+  const sent = [];
+  const approval = createChatApproval({ send: async (channelId, text) => sent.push(text) }, { timeoutMs: 1000 });
+  const pending = approval.request('c1', { threadId: 't1' }, { authorId: 'alice' })({ tool: 'deploy', params: {} });
+  await null;
+  assert.match(sent[0], /Allow tool `deploy`/);
+  assert.equal(approval.handle({ channelId: 'c1', threadId: 't1', authorId: 'mallory', content: 'yes' }), false);
+  assert.equal(approval.handle({ channelId: 'c1', threadId: 't1', authorId: 'alice', content: 'yes please do it' }), false);
+  assert.equal(approval.handle({ channelId: 'c1', threadId: null, authorId: 'alice', content: 'yes' }), false);
+  assert.equal(approval.handle({ channelId: 'c1', threadId: 't1', authorId: 'alice', content: 'Yes' }), true);
+  assert.equal(await pending, true);
+});
+
+test('chat approval lets canApprove veto a yes', async () => {
+  const approval = createChatApproval({ send: async () => {} }, { timeoutMs: 1000 });
+  const pending = approval.request('c1', {}, { author: 'bob', canApprove: (msg, tool) => tool !== 'rm' })({ tool: 'rm', params: {} });
+  await null;
+  assert.equal(approval.handle({ channelId: 'c1', author: 'bob', content: 'y' }), true);
+  assert.equal(await pending, false);
+});
+
+test('createAdapter rejects unknown adapter types', async () => {
+  await assert.rejects(createAdapter('fax', {}), /fax/);
+});
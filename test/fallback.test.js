@@ -0,0 +1,206 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { ACPProtocol, FallbackEngine, Replayer, ReplayError } from '../index.js';
+
+const FAKE_AGENT = fileURLToPath(new URL('../fake-agent.js', import.meta.url));
+
+function tempDir(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'acpreact-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function fakeService(dir, cli, steps, extra = {}) {
+  const script = join(dir, `${cli}.json`);
+  writeFileSync(script, JSON.stringify(steps));
+  return { cli, binary: FAKE_AGENT, args: ['--script', script, '{prompt}'], ...extra };
+}
+
+function collect(acp, ...names) {
+  const events = Object.fromEntries(names.map(n => [n, []]));
+  for (const n of names) acp.on(n, (e) => events[n].push(e));
+  return events;
+}
+
+test('falls back to the next agent when the first is rate limited', async (t) => {
+  const dir = tempDir(t);
+  const acp = new ACPProtocol('', [
+    fakeService(dir, 'claude', [{ rateLimit: 30 }]),
+    fakeService(dir, 'codex', [{ reply: 'from codex', format: 'codex', usage: { inputTokens: 10, outputTokens: 3 } }]),
+  ]);
+  t.after(() => acp.close());
+  const events = collect(acp, 'rate-limited', 'fallback');
+
+  const result = await acp.process('hello');
+  assert.equal(result.text, 'from codex');
+  assert.deepEqual(result.usage, { inputTokens: 10, outputTokens: 3 });
+  assert.equal(result.metrics.service.name, 'codex');
+  assert.equal(events['rate-limited'][0].name, 'claude');
+  assert.equal(events['rate-limited'][0].cooldownMs, 30_000);
+  assert.equal(events.fallback.length, 1);
+  assert.equal(acp.registry.isAvailable('claude'), false);
+});
+
+test('answer text and usage never count as a rate limit', async (t) => {
+  const dir = tempDir(t);
+  const acp = new ACPProtocol('', [
+    fakeService(dir, 'claude', [{ reply: 'The API returns 429 when you hit the rate limit.', format: 'claude', usage: { inputTokens: 429, outputTokens: 12 } }]),
+  ]);
+  t.after(() => acp.close());
+  const events = collect(acp, 'rate-limited');
+
+  const result = await acp.process('hello');
+  assert.equal(result.text, 'The API returns 429 when you hit the rate limit.');
+  assert.equal(events['rate-limited'].length, 0);
+  assert.equal(acp.registry.isAvailable('claude'), true);
+});
+
+test('a rate limit reported as an agent error event falls back', async () => {
+  const replayer = new Replayer([
+    { service: 'claude', chunks: [{ stream: 'stdout', at: 0, data: '{"type":"result","subtype":"error","is_error":true,"result":"Rate limit reached. Retry after 7 seconds."}\n' }], exitCode: 0 },
+    { service: 'kilo', chunks: [{ stream: 'stdout', at: 0, data: '{"type":"text","part":{"text":"ok"}}\n' }], exitCode: 0 },
+  ], { match: 'service' });
+  const engine = new FallbackEngine([
+    { name: 'claude', profileId: '__default__', config: { cli: 'claude' } },
+    { name: 'kilo', profileId: '__default__', config: { cli: 'kilo' } },
+  ]);
+  const limited = [];
+  engine.on('rate-limited', (e) => limited.push([e.name, e.cooldownMs]));
+
+  await engine.run((...args) => replayer.spawn(...args), 'hi');
+  assert.deepEqual(limited, [['claude', 7_000]]);
+});
+
+test('per-call service stacks skip services the registry has cooling down', async (t) => {
+  const dir = tempDir(t);
+  const claude = fakeService(dir, 'claude', [{ reply: 'from claude', format: 'claude' }]);
+  const codex = fakeService(dir, 'codex', [{ reply: 'from codex', format: 'codex' }]);
+  const acp = new ACPProtocol('', [claude, codex]);
+  t.after(() => acp.close());
+  acp.registry.markRateLimited('claude', '__default__', 60_000);
+
+  const result = await acp.process('hello', { services: [claude, codex] });
+  assert.equal(result.text, 'from codex');
+  await assert.rejects(acp.process('hello', { cli: 'claude' }), /stack is empty/);
+});
+
+test('only a service that is actually tried claims the half-open trial', async (t) => {
+  const dir = tempDir(t);
+  const acp = new ACPProtocol('', [
+    fakeService(dir, 'claude', [{ reply: 'from claude', format: 'claude' }]),
+    fakeService(dir, 'codex', [{ reply: 'from codex', format: 'codex' }]),
+  ], { routing: { circuitThreshold: 1, circuitCooldownMs: 1 } });
+  t.after(() => acp.close());
+  acp.registry.recordFailure('codex', '__default__');
+  await new Promise(r => setTimeout(r, 5));
+
+  assert.equal((await acp.process('hello')).text, 'from claude');
+  assert.equal(acp.registry.isAvailable('codex'), true);
+  assert.equal(acp.registry.beginAttempt('codex', '__default__'), true);
+  assert.equal(acp.registry.beginAttempt('codex', '__default__'), false);
+});
+
+test('fallthroughOnExit moves on when an agent prints an error and exits non-zero', async (t) => {
+  const dir = tempDir(t);
+  const services = [
+    fakeService(dir, 'claude', [{ reply: 'Error: model not found', exitCode: 1 }]),
+    fakeService(dir, 'codex', [{ reply: 'from codex', format: 'codex' }]),
+  ];
+  const strict = new ACPProtocol('', services, { retry: { fallthroughOnExit: true } });
+  const lenient = new ACPProtocol('', services);
+  t.after(() => { strict.close(); lenient.close(); });
+
+  assert.equal((await strict.process('hello')).text, 'from codex');
+  assert.equal((await lenient.process('hello')).text, 'Error: model not found');
+});
+
+test('falls through a hung agent after its timeout', async (t) => {
+  const dir = tempDir(t);
+  const acp = new ACPProtocol('', [
+    fakeService(dir, 'claude', [{ reply: 'partial', hang: true }], { timeout: 300 }),
+    fakeService(dir, 'gemini', [{ reply: 'from gemini', format: 'gemini' }]),
+  ]);
+  t.after(() => acp.close());
+  const events = collect(acp, 'failure');
+
+  const result = await acp.process('hello');
+  assert.equal(result.text, 'from gemini');
+  assert.equal(events.failure[0].kind, 'timeout');
+});
+
+test('runs the tool loop against scripted tool-call output', async (t) => {
+  const dir = tempDir(t);
+  const acp = new ACPProtocol('', [fakeService(dir, 'claude', [
+    { match: '"result"', reply: 'It is 20°C in Oslo.', format: 'claude' },
+    { match: 'weather', reply: 'Checking.', toolCalls: [{ name: 'weather', params: { city: 'Oslo' } }], format: 'claude' },
+  ])]);
+  t.after(() => acp.close());
+  acp.registerTool('weather', 'Current weather', { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] }, ({ city }) => ({ city, tempC: 20 }));
+
+  const result = await acp.process('What is the weather in Oslo?', { maxTurns: 3 });
+  assert.equal(result.text, 'It is 20°C in Oslo.');
+  assert.equal(result.turns.length, 2);
+  assert.deepEqual(result.toolCalls.map(c => [c.tool, c.result]), [['weather', { city: 'Oslo', tempC: 20 }]]);
+  assert.equal(result.stopReason, 'complete');
+});
+
+test('mcp mode keeps prompt tools for services with custom args', async (t) => {
+  const dir = tempDir(t);
+  const acp = new ACPProtocol('', [fakeService(dir, 'claude', [{ echo: true }])], { mcp: true });
+  t.after(() => acp.close());
+  acp.registerTool('weather', 'Current weather', { type: 'object' }, () => 'sunny');
+
+  const result = await acp.process('What is the weather?');
+  assert.match(result.text, /tools\/weather/);
+});
+
+test('replays a recorded run without spawning the agents', async (t) => {
+  const dir = tempDir(t);
+  const fixture = join(dir, 'run.json');
+  const services = [
+    fakeService(dir, 'claude', [{ rateLimit: 5 }]),
+    fakeService(dir, 'opencode', [{ reply: 'recorded answer', format: 'opencode', usage: { inputTokens: 4, outputTokens: 2 } }]),
+  ];
+  const live = new ACPProtocol('', services, { record: fixture });
+  t.after(() => live.close());
+  const recorded = await live.process('question');
+  assert.equal(JSON.parse(readFileSync(fixture, 'utf8')).calls.length, 2);
+
+  rmSync(join(dir, 'claude.json'));
+  rmSync(join(dir, 'opencode.json'));
+  const offline = new ACPProtocol('', services.map(s => ({ ...s, binary: join(dir, 'missing-agent') })), { replay: fixture });
+  t.after(() => offline.close());
+  const events = collect(offline, 'rate-limited');
+  const replayed = await offline.process('question');
+  assert.equal(replayed.text, recorded.text);
+  assert.deepEqual(replayed.usage, recorded.usage);
+  assert.equal(events['rate-limited'][0].cooldownMs, 5_000);
+  assert.equal(offline.replayer.unused().length, 0);
+});
+
+test('FallbackEngine retries transient failures, then falls back', async () => {
+  const replayer = new Replayer([
+    { service: 'claude', chunks: [{ stream: 'stderr', at: 0, data: 'Error: 503 Service Unavailable\n' }], error: { message: 'claude exited with code 1', exitCode: 1 } },
+    { service: 'claude', chunks: [{ stream: 'stderr', at: 0, data: 'Error: 503 Service Unavailable\n' }], error: { message: 'claude exited with code 1', exitCode: 1 } },
+    { service: 'kilo', chunks: [{ stream: 'stdout', at: 0, data: '{"type":"text","part":{"text":"ok"}}\n' }], exitCode: 0 },
+  ], { match: 'service' });
+  const engine = new FallbackEngine([
+    { name: 'claude', profileId: '__default__', config: { cli: 'claude' } },
+    { name: 'kilo', profileId: '__default__', config: { cli: 'kilo' } },
+  ], { retries: 1, baseDelayMs: 1, maxDelayMs: 1 });
+  const seen = [];
+  for (const name of ['retry', 'failure', 'fallback', 'success']) engine.on(name, (e) => seen.push([name, e.name ?? e.to?.name]));
+
+  const result = await engine.run((...args) => replayer.spawn(...args), 'hi');
+  assert.equal(result.rawOutput, '{"type":"text","part":{"text":"ok"}}\n');
+  assert.deepEqual(seen, [['retry', 'claude'], ['failure', 'claude'], ['fallback', 'kilo'], ['success', 'kilo']]);
+});
+
+test('Replayer fails a call that was never recorded', async () => {
+  const replayer = new Replayer([{ service: 'claude', args: ['x'], chunks: [] }]);
+  await assert.rejects(replayer.spawn({ name: 'codex', profileId: '__default__', config: { cli: 'codex' } }, 'hi'), ReplayError);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { parseOutput, createEventParser, resolveParser, BUILTIN_PARSERS } from '../parser.js';
+import { ACPProtocol, Replayer } from '../index.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/parsers/${name}`, import.meta.url), 'utf8');
+const toolEvents = (events) => events.filter(e => e.type !== 'usage');
+
+test('claude: stream-json text, tool use and usage', () => {
+  const out = parseOutput(fixture('claude.jsonl'), BUILTIN_PARSERS.claude);
+  assert.equal(out.text, 'Let me look at the file.\n\nThe package is called demo.');
+  assert.deepEqual(out.toolCalls, [{ id: 1, method: 'tools/weather', params: { city: 'Oslo' } }]);
+  assert.deepEqual(toolEvents(out.events), [
+    { type: 'tool_use', id: 'toolu_1', name: 'Read', input: { file_path: 'package.json' } },
+    { type: 'tool_result', id: 'toolu_1', output: '{"name":"demo"}', isError: false },
+  ]);
+  assert.deepEqual(out.usage, { inputTokens: 1200, outputTokens: 85, cacheReadTokens: 4000, cacheWriteTokens: 300, costUsd: 0.0123 });
+});
+
+test('opencode: text parts, completed tool and step usage', () => {
+  const out = parseOutput(fixture('opencode.jsonl'), BUILTIN_PARSERS.opencode);
+  assert.equal(out.text, 'Running the tests.\nAll 3 tests pass.');
+  assert.deepEqual(toolEvents(out.events), [
+    { type: 'tool_use', id: 'call_1', name: 'bash', input: { command: 'npm test' } },
+    { type: 'tool_result', id: 'call_1', output: '3 passing', isError: false },
+  ]);
+  assert.deepEqual(out.usage, { inputTokens: 900, outputTokens: 40, reasoningTokens: 10, cacheReadTokens: 200, cacheWriteTokens: 0, costUsd: 0.004 });
+});
+
+test('codex: exec --json items and turn usage', () => {
+  const out = parseOutput(fixture('codex.jsonl'), BUILTIN_PARSERS.codex);
+  assert.equal(out.text, 'The repo has a README and a src folder.');
+  assert.deepEqual(toolEvents(out.events), [
+    { type: 'tool_use', id: 'item_0', name: 'shell', input: { command: 'ls' } },
+    { type: 'tool_result', id: 'item_0', output: 'README.md\nsrc\n', isError: false },
+  ]);
+  assert.deepEqual(out.usage, { inputTokens: 2400, outputTokens: 60, cacheReadTokens: 1800 });
+});
+
+test('gemini: stream-json deltas, tool use and result stats', () => {
+  const out = parseOutput(fixture('gemini.jsonl'), BUILTIN_PARSERS.gemini);
+  assert.equal(out.text, 'It says "buy milk".');
+  assert.deepEqual(toolEvents(out.events), [
+    { type: 'tool_use', id: 'read_file-1', name: 'read_file', input: { absolute_path: '/work/notes.txt' } },
+    { type: 'tool_result', id: 'read_file-1', output: 'buy milk', isError: false },
+  ]);
+  assert.deepEqual(out.usage, { inputTokens: 500, outputTokens: 30 });
+});
+
+test('gemini: pretty-printed single JSON response', () => {
+  const out = parseOutput(fixture('gemini.json'), BUILTIN_PARSERS.gemini);
+  assert.equal(out.text, 'Paris is the capital of France.');
+  assert.deepEqual(out.usage, { inputTokens: 420, outputTokens: 40, cacheReadTokens: 100 });
+});
+
+test('plain: keeps text and unknown JSON, extracts tool calls', () => {
+  const out = parseOutput(fixture('plain.txt'), BUILTIN_PARSERS.plain);
+  assert.equal(out.text, 'Here is the plan:\n{"type":"click","x":1}\nDone.');
+  assert.deepEqual(out.toolCalls, [{ id: 7, method: 'tools/notify', params: { message: 'done' } }]);
+  assert.equal(out.usage, null);
+});
+
+test('fixtures parse the same when streamed in small chunks', () => {
+  for (const [name, parser] of [['claude.jsonl', 'claude'], ['opencode.jsonl', 'opencode'], ['codex.jsonl', 'codex'], ['gemini.jsonl', 'gemini'], ['gemini.json', 'gemini']]) {
+    const raw = fixture(name);
+    const p = createEventParser(BUILTIN_PARSERS[parser]);
+    const events = [];
+    for (let i = 0; i < raw.length; i += 7) events.push(...p.push(raw.slice(i, i + 7)));
+    events.push(...p.end());
+    const whole = createEventParser(BUILTIN_PARSERS[parser]);
+    assert.deepEqual(events, [...whole.push(raw), ...whole.end()], name);
+  }
+});
+
+test('unknown event types fall through as plain text', () => {
+  for (const parser of ['claude', 'opencode', 'codex', 'gemini']) {
+    const out = parseOutput('{"type":"brand_new_event","value":1}\n', BUILTIN_PARSERS[parser]);
+    assert.equal(out.text, '{"type":"brand_new_event","value":1}', parser);
+  }
+});
+
+test('resolveParser picks the built-in parser by cli name', () => {
+  assert.equal(resolveParser({ name: 'claude' }), BUILTIN_PARSERS.claude);
+  assert.equal(resolveParser({ name: 'x', config: { cli: 'codex' } }), BUILTIN_PARSERS.codex);
+  assert.equal(resolveParser({ name: 'unknown' }), BUILTIN_PARSERS.plain);
+  assert.throws(() => resolveParser({ name: 'x', config: { parser: 'nope' } }), /Unknown parser: nope/);
+});
+
+test('replayed claude output streams events and tool calls through process()', async (t) => {
+  const raw = fixture('claude.jsonl');
+  const chunks = [];
+  for (let i = 0; i < raw.length; i += 50) chunks.push({ stream: 'stdout', at: i, data: raw.slice(i, i + 50) });
+  const acp = new ACPProtocol('', [{ cli: 'claude' }], { replay: new Replayer([{ service: 'claude', chunks, exitCode: 0 }], { match: 'service' }) });
+  t.after(() => acp.close());
+  acp.registerTool('weather', 'Current weather', { type: 'object' }, () => 'unused');
+  const deltas = [], toolUses = [];
+  acp.on('text-delta', (e) => deltas.push(e.text));
+  acp.on('agent-tool-use', (e) => toolUses.push(e.name));
+
+  const result = await acp.process('What is in package.json?');
+  assert.equal(result.text, 'Let me look at the file.\n\nThe package is called demo.');
+  assert.deepEqual(result.usage, { inputTokens: 1200, outputTokens: 85, cacheReadTokens: 4000, cacheWriteTokens: 300, costUsd: 0.0123 });
+  assert.deepEqual(result.turns[0].calls, [{ id: 1, method: 'tools/weather', params: { city: 'Oslo' } }]);
+  assert.deepEqual(toolUses, ['Read']);
+  assert.ok(deltas.join('').includes('The package is called demo.'));
+});
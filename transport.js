@@ -0,0 +1,237 @@
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { createInterface } from 'readline';
+import { buildEnv } from './sandbox.js';
+
+const ACP_PROTOCOL_VERSION = 1;
+const MAX_STDERR = 16_384;
+const DEFAULT_ACP_IDLE_MS = 600_000;
+const DEFAULT_MAX_ACP_SESSIONS = 16;
+
+const ACP_AGENTS = {
+  claude: { binary: 'claude-code-acp', args: [] },
+  gemini: { binary: 'gemini', args: ['--experimental-acp'] },
+  goose: { binary: 'goose', args: ['acp'] },
+};
+
+function attachOutputs(err, output, stderr) { err.output = output; err.stderr = stderr; return err; }
+
+class ACPClient extends EventEmitter {
+  constructor(binary, args = [], options = {}) {
+    super();
+    this.binary = binary;
+    this.args = args;
+    this.cwd = options.cwd || process.cwd();
+    this.env = options.env || buildEnv();
+    this.stderr = '';
+    this.closed = false;
+    this.onPermission = null;
+    this._id = 0;
+    this._pending = new Map();
+    this._child = null;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.binary, this.args, { stdio: ['pipe', 'pipe', 'pipe'], cwd: this.cwd, env: this.env });
+      this._child = child;
+      child.once('error', (err) => { this._shutdown(err); reject(err); });
+      child.stdin.on('error', (err) => { this._shutdown(err); child.kill(); });
+      child.stderr.on('data', (d) => { this.stderr = (this.stderr + d.toString()).slice(-MAX_STDERR); });
+      child.on('close', (code) => this._shutdown(new Error(`${this.binary} exited with code ${code}: ${this.stderr}`)));
+      createInterface({ input: child.stdout, crlfDelay: Infinity }).on('line', (line) => this._onLine(line));
+      this.request('initialize', {
+        protocolVersion: ACP_PROTOCOL_VERSION,
+        clientCapabilities: { fs: { readTextFile: false, writeTextFile: false }, terminal: false },
+      }).then((result) => { this.agentInfo = result; resolve(this); }, reject);
+    });
+  }
+
+  _shutdown(err) {
+    if (this.closed) return;
+    this.closed = true;
+    for (const { reject } of this._pending.values()) reject(attachOutputs(err, '', this.stderr));
+    this._pending.clear();
+    this.emit('close', err);
+  }
+
+  _write(msg) { if (!this.closed) this._child.stdin.write(JSON.stringify(msg) + '\n'); }
+
+  request(method, params) {
+    if (this.closed) return Promise.reject(new Error(`${this.binary} is not running`));
+    const id = ++this._id;
+    return new Promise((resolve, reject) => {
+      this._pending.set(id, { resolve, reject });
+      this._write({ jsonrpc: '2.0', id, method, params });
+    });
+  }
+
+  notify(method, params) { this._write({ jsonrpc: '2.0', method, params }); }
+
+  async _onLine(line) {
+    let msg;
+    try { msg = JSON.parse(line); } catch { return; }
+    if (msg.id !== undefined && !msg.method) {
+      const pending = this._pending.get(msg.id);
+      if (!pending) return;
+      this._pending.delete(msg.id);
+      if (msg.error) pending.reject(Object.assign(new Error(msg.error.message), { code: msg.error.code, data: msg.error.data }));
+      else pending.resolve(msg.result);
+      return;
+    }
+    if (msg.method === 'session/update') { this.emit('update', msg.params); return; }
+    if (msg.id === undefined) return;
+    if (msg.method === 'session/request_permission') {
+      const outcome = await this._permission(msg.params).catch(() => ({ outcome: 'cancelled' }));
+      this._write({ jsonrpc: '2.0', id: msg.id, result: { outcome } });
+      return;
+    }
+    this._write({ jsonrpc: '2.0', id: msg.id, error: { code: -32601, message: `Method not found: ${msg.method}` } });
+  }
+
+  async _permission(params) {
+    const options = params.options || [];
+    const approved = this.onPermission ? await this.onPermission(params) : false;
+    const kinds = approved ? ['allow_once', 'allow_always'] : ['reject_once', 'reject_always'];
+    const option = kinds.map(k => options.find(o => o.kind === k)).find(Boolean);
+    return option ? { outcome: 'selected', optionId: option.optionId } : { outcome: 'cancelled' };
+  }
+
+  async newSession(options = {}) {
+    const { sessionId } = await this.request('session/new', { cwd: options.cwd || this.cwd, mcpServers: options.mcpServers || [] });
+    return sessionId;
+  }
+
+  prompt(sessionId, text) { return this.request('session/prompt', { sessionId, prompt: [{ type: 'text', text }] }); }
+  cancel(sessionId) { this.notify('session/cancel', { sessionId }); }
+  close() { if (!this.closed) this._child?.kill(); }
+}
+
+async function openSession(entry, options) {
+  const defaults = ACP_AGENTS[entry.name] || {};
+  const client = new ACPClient(entry.config?.binary || defaults.binary || entry.name, entry.config?.args || defaults.args || [], options);
+  await client.start();
+  try { return { client, sessionId: await client.newSession({ mcpServers: entry.config?.mcpServers }) }; }
+  catch (err) { client.close(); throw err; }
+}
+
+class ACPSessionPool {
+  constructor(options = {}) {
+    this.idleMs = options.idleMs ?? DEFAULT_ACP_IDLE_MS;
+    this.max = options.max ?? DEFAULT_MAX_ACP_SESSIONS;
+    this._sessions = new Map();
+    this._queues = new Map();
+    this._timer = null;
+  }
+
+  get size() { return this._sessions.size; }
+
+  run(key, scope, open, fn) {
+    const run = (this._queues.get(key) || Promise.resolve()).then(async () => {
+      let session = this._sessions.get(key);
+      if (!session || session.client.closed) session = await this._open(key, scope, open);
+      this._sessions.delete(key);
+      this._sessions.set(key, session);
+      session.busy = true;
+      try { return await fn(session); }
+      finally { session.busy = false; session.lastUsed = Date.now(); }
+    });
+    const tail = run.catch(() => {});
+    this._queues.set(key, tail);
+    tail.then(() => { if (this._queues.get(key) === tail) this._queues.delete(key); });
+    return run;
+  }
+
+  async _open(key, scope, open) {
+    const session = { ...await open(), scope, prompted: false, busy: false, lastUsed: Date.now() };
+    session.client.once('close', () => { if (this._sessions.get(key) === session) this._sessions.delete(key); });
+    this._sessions.set(key, session);
+    for (const [k, s] of this._sessions) {
+      if (this._sessions.size <= this.max) break;
+      if (!s.busy && s !== session) this._close(k);
+    }
+    if (this.idleMs && !this._timer) {
+      this._timer = setInterval(() => this.reap(), Math.max(1000, Math.floor(this.idleMs / 2)));
+      this._timer.unref();
+    }
+    return session;
+  }
+
+  _close(key) {
+    const session = this._sessions.get(key);
+    this._sessions.delete(key);
+    session?.client.close();
+    if (!this._sessions.size) { clearInterval(this._timer); this._timer = null; }
+  }
+
+  reap(now = Date.now()) {
+    for (const [key, s] of this._sessions) if (!s.busy && now - s.lastUsed >= this.idleMs) this._close(key);
+  }
+
+  release(scope) {
+    for (const [key, s] of this._sessions) if (s.scope === scope) this._close(key);
+  }
+
+  closeAll() {
+    for (const key of [...this._sessions.keys()]) this._close(key);
+  }
+}
+
+function sessionScope(options) {
+  if (options?._summary) return 'summary';
+  return options?.sessionId != null ? `session:${options.sessionId}` : options?._jobId ? `job:${options._jobId}` : 'shared';
+}
+
+function spawnACPService(entry, prompt, options, callbacks, pool) {
+  if (options?._abortSignal?.aborted) return Promise.reject(new Error('Aborted'));
+  const scope = sessionScope(options);
+  return pool.run(`${entry.name}::${entry.profileId}::${scope}`, scope, () => openSession(entry, options?._sandbox || {}),
+    (session) => promptSession(session, entry, prompt, options, callbacks));
+}
+
+async function promptSession(session, entry, prompt, options, callbacks) {
+  const abortSignal = options?._abortSignal;
+  if (abortSignal?.aborted) throw new Error('Aborted');
+  if (typeof prompt === 'function') prompt = prompt(entry);
+  if (session.prompted && options?._acpPrompt != null) prompt = options._acpPrompt;
+  const { client, sessionId } = session;
+  client.onPermission = (params) => callbacks?.onPermission?.(params) ?? false;
+
+  let output = '';
+  const maxOutputBytes = options?.maxOutputBytes ?? entry.config?.maxOutputBytes;
+  const onUpdate = (params) => {
+    if (params.sessionId !== sessionId) return;
+    const update = params.update || {};
+    if (update.sessionUpdate === 'agent_message_chunk' && update.content?.type === 'text') {
+      output += update.content.text;
+      callbacks?.onOutput?.(update.content.text);
+      if (maxOutputBytes && Buffer.byteLength(output) > maxOutputBytes) interrupt(Object.assign(new Error(`Output exceeded ${maxOutputBytes} bytes`), { outputLimit: true }));
+    }
+    callbacks?.onUpdate?.(update);
+  };
+  client.on('update', onUpdate);
+
+  const timeoutMs = options?.timeout ?? entry.config?.timeout ?? 120_000;
+  let interrupt;
+  const interrupted = new Promise((_, reject) => {
+    interrupt = (err) => { client.cancel(sessionId); reject(err); };
+  });
+  const onAbort = () => interrupt(new Error('Aborted'));
+  abortSignal?.addEventListener('abort', onAbort, { once: true });
+  const timer = setTimeout(() => interrupt(Object.assign(new Error(`Timeout after ${timeoutMs}ms`), { timeout: true })), timeoutMs);
+
+  try {
+    session.prompted = true;
+    const { stopReason } = await Promise.race([client.prompt(sessionId, prompt), interrupted]);
+    return { rawOutput: output, stderr: client.stderr, code: 0, stopReason };
+  } catch (err) {
+    throw attachOutputs(err, output, `${err.message}\n${client.stderr}`);
+  } finally {
+    clearTimeout(timer);
+    abortSignal?.removeEventListener('abort', onAbort);
+    client.off('update', onUpdate);
+    client.onPermission = null;
+  }
+}
+
+export { ACPClient, ACPSessionPool, ACP_AGENTS, ACP_PROTOCOL_VERSION, DEFAULT_ACP_IDLE_MS, DEFAULT_MAX_ACP_SESSIONS, spawnACPService };